@@ -1,7 +1,8 @@
-const http = require('http');
-const fs = require('fs');
-const path = require('path');
-const os = require('os');
+import http from 'http';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { fileURLToPath } from 'url';
 
 const PORT = 8080;
 
@@ -18,7 +19,7 @@ function getLocalIP() {
   }
   return 'localhost';
 }
-const ROOT = path.join(__dirname, '..');
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
 
 const MIME_TYPES = {
   '.html': 'text/html',
@@ -0,0 +1,74 @@
+// 世界生成命令行工具（worldgen.js、worldmap.js）共用的参数解析与生成代码加载
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+export const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+// 解析 --name value 形式的参数，flags 中的参数不带值
+export function parseArgs(argv, flags = []) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) throw new Error(`Unexpected argument: ${arg}`);
+    const name = arg.slice(2);
+    if (flags.includes(name)) {
+      args[name] = true;
+    } else {
+      if (i + 1 >= argv.length) throw new Error(`Missing value for --${name}`);
+      args[name] = argv[++i];
+    }
+  }
+  return args;
+}
+
+function parseChunkCoord(text, name) {
+  const match = /^\s*(-?\d+)\s*,\s*(-?\d+)\s*$/.exec(text);
+  if (!match) throw new Error(`--${name} must be "cx,cz": ${text}`);
+  return [Number(match[1]), Number(match[2])];
+}
+
+// 区块范围：--from / --to 均包含在内，默认只有 --from 一个区块
+export function parseChunkRange(args) {
+  const [fromX, fromZ] = parseChunkCoord(args.from || '0,0', 'from');
+  const [toX, toZ] = args.to ? parseChunkCoord(args.to, 'to') : [fromX, fromZ];
+  return {
+    minX: Math.min(fromX, toX), maxX: Math.max(fromX, toX),
+    minZ: Math.min(fromZ, toZ), maxZ: Math.max(fromZ, toZ)
+  };
+}
+
+export function importSrc(file) {
+  return import(pathToFileURL(path.join(ROOT, 'src', file)).href);
+}
+
+// 加载生成代码，并按 --seed / --preset / --layers / --settings 得到区块请求使用的世界参数
+export async function loadWorld(args) {
+  if (args.seed === undefined) throw new Error('--seed is required');
+
+  const worker = await importSrc('world/WorldWorker.js');
+  const { parseSeed } = await importSrc('utils/MathUtils.js');
+  const { WORLD_PRESETS, parseSuperflatLayers } = await importSrc('constants/WorldPresets.js');
+  const { normalizeWorldSettings } = await importSrc('constants/WorldSettings.js');
+
+  const seed = parseSeed(args.seed);
+  const preset = { type: args.preset || 'default' };
+  if (!WORLD_PRESETS[preset.type]) throw new Error(`Unknown preset: ${preset.type}`);
+  if (args.layers !== undefined) preset.layers = parseSuperflatLayers(args.layers);
+  const settings = normalizeWorldSettings(args.settings ? JSON.parse(args.settings) : {});
+
+  return {
+    seed, preset, settings,
+    generateChunk: (cx, cz, extra = {}) => worker.generateChunk({ cx, cz, seed, preset, settings, ...extra }),
+    getFeaturePlan: worker.getFeaturePlan
+  };
+}
+
+// 命令行入口：出错时输出错误信息并以非零状态退出
+// 生成代码通过 console.log 输出调试信息，转到 stderr，保证 stdout 只有工具自身的输出
+export function runCli(name, main) {
+  console.log = console.error;
+  main().catch((error) => {
+    console.error(`${name}: ${error.message}`);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,62 @@
+// 无界面的世界生成命令行工具
+// 直接运行 WorldWorker 中与游戏相同的生成代码，输出区块方块数据与每个区块的稳定哈希，
+// 修改地形生成后可以对比输出目录（diff -r）或哈希列表来发现回归
+//
+// 用法:
+//   node server-script/worldgen.js --seed 42 --from -4,-4 --to 4,4
+//   node server-script/worldgen.js --seed "my world" --preset amplified --out ./worldgen-out
+//
+// 参数:
+//   --seed <文本|数字>     世界种子，解析规则与创建世界界面相同（必填）
+//   --from <cx,cz>         起始区块坐标（含），默认 0,0
+//   --to <cx,cz>           结束区块坐标（含），默认与 --from 相同
+//   --preset <类型>        世界预设，见 src/constants/WorldPresets.js，默认 default
+//   --layers <地层>        超平坦地层描述，如 bedrock,3*stone,2*dirt,grass
+//   --settings <JSON>      世界生成设置，见 src/constants/WorldSettings.js
+//   --full                 向下生成到基岩（默认与游戏一致，只生成到地表以下 SHELL_DEPTH 层）
+//   --out <目录>           写出每个区块的 JSON 与 index.json；省略时只输出哈希列表
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { parseArgs, parseChunkRange, importSrc, loadWorld, runCli } from './worldgen-shared.js';
+
+// 对象键排序后序列化，保证相同的数据总是得到相同的文本与哈希
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2), ['full']);
+  const range = parseChunkRange(args);
+  const world = await loadWorld(args);
+  const { TERRAIN_CONFIG } = await importSrc('constants/TerrainConfig.js');
+
+  if (args.out) fs.mkdirSync(args.out, { recursive: true });
+  const { seed, preset, settings } = world;
+  const index = { seed, preset, settings, full: !!args.full, chunks: {} };
+
+  for (let cx = range.minX; cx <= range.maxX; cx++) {
+    for (let cz = range.minZ; cz <= range.maxZ; cz++) {
+      let { snapshot } = world.generateChunk(cx, cz);
+      if (args.full && snapshot.minY > TERRAIN_CONFIG.BEDROCK_Y) {
+        ({ snapshot } = world.generateChunk(cx, cz, { snapshot, extendTo: TERRAIN_CONFIG.BEDROCK_Y }));
+      }
+
+      const text = stableStringify(snapshot);
+      const hash = crypto.createHash('sha256').update(text).digest('hex').slice(0, 16);
+      const blockCount = Object.keys(snapshot.blocks).length;
+      index.chunks[`${cx},${cz}`] = { hash, blocks: blockCount, minY: snapshot.minY };
+      process.stdout.write(`${cx},${cz}\t${hash}\t${blockCount}\n`);
+
+      if (args.out) fs.writeFileSync(path.join(args.out, `chunk_${cx}_${cz}.json`), text + '\n');
+    }
+  }
+
+  if (args.out) fs.writeFileSync(path.join(args.out, 'index.json'), JSON.stringify(index, null, 2) + '\n');
+}
+
+runCli('worldgen', main);
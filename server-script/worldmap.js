@@ -0,0 +1,159 @@
+// 俯视地图导出工具
+// 用与游戏相同的生成代码生成一片区块，按地表方块与群系着色、按高度绘制山体阴影，
+// 并标注结构、火星车、浮岛与真实树木，输出 PNG（无需 GPU），用于挑选种子和在 PR 中对比地形变化
+//
+// 用法:
+//   node server-script/worldmap.js --seed 42 --from -8,-8 --to 8,8 --out map.png
+//
+// 参数:
+//   --seed / --from / --to / --preset / --layers / --settings   与 worldgen.js 相同
+//   --scale <n>            每个方块的像素数，默认 2
+//   --out <文件>           输出的 PNG 路径，默认 worldmap.png
+import fs from 'fs';
+import { parseArgs, parseChunkRange, importSrc, loadWorld, runCli } from './worldgen-shared.js';
+import { encodePng } from './png.js';
+
+const CHUNK_SIZE = 16;
+
+// 地表方块颜色；未列出的方块使用 DEFAULT_COLOR
+const BLOCK_COLORS = {
+  grass: [106, 170, 70], swamp_grass: [90, 120, 60], sky_grass: [120, 200, 150], moss: [90, 140, 60],
+  dirt: [134, 96, 67], sand: [219, 207, 163], gravel: [136, 126, 126], clay: [160, 166, 179],
+  snow: [245, 250, 255], ice: [160, 190, 250],
+  stone: [125, 125, 125], sky_stone: [170, 175, 190], deepslate: [80, 80, 85], bedrock: [50, 50, 50],
+  cobblestone: [115, 115, 115], mossy_stone: [100, 120, 90], calcite: [220, 220, 215], end_stone: [220, 220, 160],
+  obsidian: [30, 20, 45], marble: [235, 235, 235], lava: [230, 90, 20],
+  wood: [102, 81, 51], birch_log: [215, 210, 195], azalea_log: [110, 90, 60], sky_wood: [150, 120, 90],
+  planks: [160, 130, 80], oak_planks: [170, 135, 80], white_planks: [225, 220, 205], dark_planks: [75, 55, 35],
+  bricks: [150, 80, 65], chimney: [120, 70, 60], glass_block: [200, 225, 235], bookbox: [140, 100, 60], water: [50, 90, 200],
+  leaves: [60, 130, 40], spruce_leaves: [50, 90, 60], yellow_leaves: [220, 190, 60], swamp_leaves: [75, 100, 45],
+  azalea_leaves: [95, 140, 55], azalea_flowers: [200, 120, 180], sky_leaves: [130, 210, 200],
+  realistic_oak_leaves: [60, 130, 40], realistic_yellow_leaves: [220, 190, 60],
+  cactus: [80, 130, 50], lilypad: [40, 110, 40], wheat: [200, 180, 80],
+  coral_block: [230, 90, 120], coral_block_yellow: [230, 200, 70], coral_block_blue: [60, 110, 220],
+  cloud_block: [238, 244, 255], chest: [160, 110, 40]
+};
+const DEFAULT_COLOR = [200, 0, 200];
+const VOID_COLOR = [12, 12, 20];
+const WATER_COLOR = [50, 90, 200];
+
+// 不影响俯视颜色的方块：云与单格植被（地图显示其下方的方块）
+const SKIPPED_BLOCKS = new Set(['cloud', 'short_grass', 'flower', 'allium', 'seagrass', 'kelp', 'coral_fan', 'vine']);
+
+// 草方块与树叶按群系调色
+const BIOME_TINTS = {
+  DEEP_OCEAN: [0.9, 1, 1], OCEAN: [0.9, 1, 1], MOUNTAINS: [0.85, 0.95, 0.9], HILLS: [0.9, 1, 0.9],
+  TUNDRA: [0.9, 1, 1.05], SNOWY_TAIGA: [0.85, 0.95, 1], DESERT: [1.25, 1.1, 0.7], SWAMP: [0.8, 0.85, 0.7],
+  FOREST: [0.85, 1, 0.8], AZALEA: [1, 1.05, 0.9], PLAINS: [1, 1, 1]
+};
+const TINTED_BLOCKS = new Set(['grass', 'leaves', 'spruce_leaves']);
+
+// 标注：结构按模板名称，其余按种类
+const MARKERS = {
+  house: [220, 40, 40], house_large: [220, 40, 40], well: [60, 200, 255], farm: [240, 220, 60],
+  ship: [255, 140, 0], rover: [255, 0, 255], island: [0, 255, 255], realisticTree: [0, 70, 0]
+};
+const STRUCTURE_MARKER = [255, 255, 255];
+
+// 山体阴影：高度差（西北方向光照）对亮度的影响
+const HILLSHADE_STRENGTH = 0.08;
+const HILLSHADE_RANGE = [0.6, 1.4];
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const range = parseChunkRange(args);
+  const scale = Math.max(1, Math.floor(Number(args.scale) || 2));
+  const out = args.out || 'worldmap.png';
+  const world = await loadWorld(args);
+  const { terrainGen } = await importSrc('world/TerrainGen.js');
+  const { getWorldSettings } = await importSrc('utils/MathUtils.js');
+
+  const width = (range.maxX - range.minX + 1) * CHUNK_SIZE;
+  const depth = (range.maxZ - range.minZ + 1) * CHUNK_SIZE;
+  const originX = range.minX * CHUNK_SIZE, originZ = range.minZ * CHUNK_SIZE;
+  const heights = new Float64Array(width * depth).fill(-Infinity);
+  const tops = new Array(width * depth).fill(null);
+  const markers = [];
+
+  for (let cx = range.minX; cx <= range.maxX; cx++) {
+    for (let cz = range.minZ; cz <= range.maxZ; cz++) {
+      const { snapshot } = world.generateChunk(cx, cz);
+      for (const key in snapshot.blocks) {
+        const type = snapshot.blocks[key];
+        if (SKIPPED_BLOCKS.has(type)) continue;
+        const [x, y, z] = key.split(',').map(Number);
+        const i = (x - originX) * depth + (z - originZ);
+        if (y > heights[i]) {
+          heights[i] = y;
+          tops[i] = type;
+        }
+      }
+      for (const pos of snapshot.entities.rovers) markers.push({ ...pos, kind: 'rover' });
+      for (const pos of snapshot.entities.realisticTrees) markers.push({ ...pos, kind: 'realisticTree' });
+      for (const f of world.getFeaturePlan(cx, cz)) {
+        if (f.kind === 'structure') markers.push({ x: f.x, z: f.z, kind: f.name });
+        else if (f.kind === 'island') markers.push({ x: f.x, z: f.z, kind: 'island' });
+      }
+    }
+  }
+
+  const preset = terrainGen.getPreset();
+  const { seaLevel } = getWorldSettings();
+  const rgb = new Uint8Array(width * scale * depth * scale * 3);
+  const setPixel = (px, pz, color) => {
+    if (px < 0 || pz < 0 || px >= width * scale || pz >= depth * scale) return;
+    const o = (pz * width * scale + px) * 3;
+    rgb[o] = color[0]; rgb[o + 1] = color[1]; rgb[o + 2] = color[2];
+  };
+
+  for (let x = 0; x < width; x++) {
+    for (let z = 0; z < depth; z++) {
+      const i = x * depth + z;
+      let color = VOID_COLOR;
+      const type = tops[i];
+      if (type) {
+        color = BLOCK_COLORS[type] || DEFAULT_COLOR;
+        if (preset.terrain === 'noise' && TINTED_BLOCKS.has(type)) {
+          const tint = BIOME_TINTS[terrainGen.getBiome(originX + x, originZ + z)] || BIOME_TINTS.PLAINS;
+          color = color.map((c, k) => c * tint[k]);
+        }
+        // 西北侧较低的格子朝向光源，较高的处在阴影中
+        const h = heights[i];
+        const west = x > 0 && tops[i - depth] ? heights[i - depth] : h;
+        const north = z > 0 && tops[i - 1] ? heights[i - 1] : h;
+        const shade = Math.min(HILLSHADE_RANGE[1], Math.max(HILLSHADE_RANGE[0], 1 + (2 * h - west - north) * HILLSHADE_STRENGTH));
+        color = color.map(c => c * shade);
+        // 海平面以下的列覆盖水色，越深越暗
+        if (preset.water && h < seaLevel && type !== 'ice' && type !== 'lilypad') {
+          const t = Math.min(0.85, 0.5 + (seaLevel - h) * 0.03);
+          color = color.map((c, k) => c * (1 - t) + WATER_COLOR[k] * t);
+        }
+        color = color.map(c => Math.max(0, Math.min(255, Math.round(c))));
+      }
+      for (let sx = 0; sx < scale; sx++) {
+        for (let sz = 0; sz < scale; sz++) setPixel(x * scale + sx, z * scale + sz, color);
+      }
+    }
+  }
+
+  // 标注绘制为带黑边的方块，真实树木较小
+  const counts = {};
+  for (const m of markers) {
+    counts[m.kind] = (counts[m.kind] || 0) + 1;
+    const color = MARKERS[m.kind] || STRUCTURE_MARKER;
+    const r = m.kind === 'realisticTree' ? 1 : 2 + (m.kind === 'island' ? 1 : 0);
+    const px = Math.floor((m.x - originX + 0.5) * scale), pz = Math.floor((m.z - originZ + 0.5) * scale);
+    for (let dx = -r - 1; dx <= r + 1; dx++) {
+      for (let dz = -r - 1; dz <= r + 1; dz++) {
+        const edge = Math.abs(dx) > r || Math.abs(dz) > r;
+        setPixel(px + dx, pz + dz, edge ? [0, 0, 0] : color);
+      }
+    }
+  }
+
+  fs.writeFileSync(out, encodePng(width * scale, depth * scale, rgb));
+  process.stdout.write(`${out}\t${width * scale}x${depth * scale}\tseed ${world.seed}\n`);
+  for (const kind of Object.keys(counts).sort()) process.stdout.write(`${kind}\t${counts[kind]}\n`);
+}
+
+runCli('worldmap', main);
@@ -39,6 +39,10 @@ export const BLOCK_DATA = {
     isTransparent: true,
     isShadowEnabled: false
   },
+  'lava': {
+    isSolid: false,
+    isShadowEnabled: false
+  },
   'cloud': {
     isSolid: false,
     isTransparent: true,
@@ -65,6 +69,12 @@ export const BLOCK_DATA = {
   'sky_leaves': {
     isTransparent: true
   },
+  'spruce_leaves': {
+    isTransparent: true
+  },
+  'ice': {
+    isTransparent: true
+  },
   'realistic_oak_leaves': {
     isTransparent: true
   },
@@ -89,12 +99,36 @@ export const BLOCK_DATA = {
     isShadowEnabled: false,
     geometryType: 'flower'
   },
+  'seagrass': {
+    isSolid: false,
+    isTransparent: true,
+    isShadowEnabled: false,
+    geometryType: 'flower'
+  },
+  'wheat': {
+    isSolid: false,
+    isTransparent: true,
+    isShadowEnabled: false,
+    geometryType: 'flower'
+  },
+  'coral_fan': {
+    isSolid: false,
+    isTransparent: true,
+    isShadowEnabled: false,
+    geometryType: 'flower'
+  },
   'vine': {
     isSolid: false,
     isTransparent: true,
     isShadowEnabled: false,
     geometryType: 'vine'
   },
+  'kelp': {
+    isSolid: false,
+    isTransparent: true,
+    isShadowEnabled: false,
+    geometryType: 'vine'
+  },
   'lilypad': {
     isSolid: false,
     isTransparent: true,
@@ -132,6 +166,9 @@ export const BLOCK_DATA = {
   'obsidian': {
     isAOEnabled: false
   },
+  'bedrock': {
+    isAOEnabled: false
+  },
   'moss': {
     isAOEnabled: false
   },
@@ -142,7 +179,10 @@ export const BLOCK_DATA = {
   },
   // AO 启用的方块 (严格匹配原 aoAllowedTypes 列表)
   'sand': { isAOEnabled: true },
+  'gravel': { isAOEnabled: true },
+  'clay': { isAOEnabled: true },
   'stone': { isAOEnabled: true },
+  'deepslate': { isAOEnabled: true },
   'mossy_stone': { isAOEnabled: true },
   'cobblestone': { isAOEnabled: true },
   'bricks': { isAOEnabled: true },
@@ -152,6 +192,25 @@ export const BLOCK_DATA = {
   'marble': { isAOEnabled: true }
 };
 
+/**
+ * 岩浆与水相遇后凝固成的方块
+ * - LAVA_INTO_WATER: 岩浆被放入水中时，岩浆凝固为圆石
+ * - WATER_ONTO_LAVA: 水接触到静止的岩浆时，岩浆凝固为黑曜石
+ */
+export const LAVA_WATER_RESULT = {
+  LAVA_INTO_WATER: 'cobblestone',
+  WATER_ONTO_LAVA: 'obsidian'
+};
+
+/**
+ * 判断方块是否为水（包括沼泽水等变种）
+ * @param {string|null} type - 方块类型
+ * @returns {boolean}
+ */
+export function isWaterBlock(type) {
+  return !!type && type.includes('water');
+}
+
 /**
  * 获取方块属性的辅助函数
  * @param {string} type - 方块类型
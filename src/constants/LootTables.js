@@ -0,0 +1,49 @@
+/**
+ * 宝箱战利品表
+ * 结构模板中的宝箱标记通过 loot 字段引用这里的表，打开宝箱时 (Player.openChest) 按表掷出物品
+ * - name: 打开时提示的宝藏名称
+ * - guaranteed: 必定获得的物品
+ * - pool: 随机物品池，共抽取 rolls 次（可重复）
+ */
+export const LOOT_TABLES = {
+  house: {
+    name: '房屋箱子',
+    guaranteed: [],
+    pool: ['apple', 'bookbox', 'planks', 'gold'],
+    rolls: 2
+  },
+  dungeon: {
+    name: '地牢宝藏',
+    guaranteed: ['gold'],
+    pool: ['diamond', 'gold', 'emerald', 'gold_apple', 'obsidian', 'apple'],
+    rolls: 3
+  },
+  sky: {
+    name: '天域宝藏',
+    guaranteed: ['diamond', 'god_sword', 'gold_apple'],
+    pool: ['diamond', 'gold', 'emerald', 'gold_apple'],
+    rolls: 2
+  },
+  shipwreck: {
+    name: '沉船宝藏',
+    guaranteed: ['gold', 'gold', 'gold'],
+    pool: ['diamond', 'emerald', 'amethyst'],
+    rolls: 1
+  }
+};
+
+/**
+ * 按战利品表掷出物品
+ * @param {string} name - 战利品表名称
+ * @param {function(): number} [rand=Math.random] - 随机数生成器
+ * @returns {string[]|null} 物品列表，表不存在时返回 null
+ */
+export function rollLoot(name, rand = Math.random) {
+  const table = LOOT_TABLES[name];
+  if (!table) return null;
+  const drops = [...table.guaranteed];
+  for (let i = 0; i < table.rolls; i++) {
+    drops.push(table.pool[Math.floor(rand() * table.pool.length)]);
+  }
+  return drops;
+}
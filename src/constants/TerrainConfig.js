@@ -0,0 +1,23 @@
+// src/constants/TerrainConfig.js
+/**
+ * 地层配置常量
+ * 世界从地表一直延伸到固定的基岩层，自上而下依次为：石头 -> 深板岩 -> 基岩
+ */
+export const TERRAIN_CONFIG = {
+  // 基岩层所在的 Y（世界最底部，不可破坏）
+  BEDROCK_Y: -64,
+  // 基岩顶部的起伏层数，越靠近底部越可能是基岩
+  BEDROCK_ROUGHNESS: 4,
+  // 深板岩层的中心 Y：低于此高度的石头逐渐变为深板岩
+  DEEPSLATE_Y: -24,
+  // 石头与深板岩之间过渡带的半厚度
+  DEEPSLATE_BLEND: 3,
+  // 岩浆湖水位：世界底部低于等于此高度的洞穴空间被岩浆填满（位于地牢之下）
+  LAVA_LEVEL: -58,
+  // 区块初次生成时，最低地表以下直接生成的层数
+  SHELL_DEPTH: 12,
+  // 按需向下扩展时，每次生成的层数
+  SECTION_HEIGHT: 16,
+  // 玩家距离区块已生成底部小于该层数时，触发向下扩展
+  EXTEND_MARGIN: 8
+};
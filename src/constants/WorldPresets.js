@@ -0,0 +1,104 @@
+// src/constants/WorldPresets.js
+/**
+ * 世界预设
+ *
+ * 预设在创建世界时选择，与种子一起保存在存档中，WorldWorker 据此重新生成同类世界。
+ * 存档中只保存可序列化的预设描述 { type, ...选项 }，由 resolvePreset 展开为完整配置：
+ * - terrain: 'noise'（噪声地形）| 'flat'（按层堆叠的平坦地形）| 'none'（没有地面）
+ * - water: 是否显示海平面水体
+ * - heightScale: 海平面以上地形的放大倍数
+ * - layers: 超平坦地层，自下而上排列，最上层的顶面位于 surfaceY
+ * - islandChance: 每个区块生成浮岛的概率（仅空岛预设）
+ * - spawn: 出生点结构 'island' | 'platform'，位于世界原点上空 spawnY 处
+ */
+export const WORLD_PRESETS = {
+  default: {
+    name: '默认',
+    terrain: 'noise',
+    water: true,
+    heightScale: 1
+  },
+  superflat: {
+    name: '超平坦',
+    terrain: 'flat',
+    water: false,
+    surfaceY: 0,
+    layers: [
+      { block: 'bedrock', count: 1 },
+      { block: 'stone', count: 3 },
+      { block: 'dirt', count: 2 },
+      { block: 'grass', count: 1 }
+    ]
+  },
+  amplified: {
+    name: '放大化',
+    terrain: 'noise',
+    water: true,
+    heightScale: 2.2
+  },
+  islands: {
+    name: '空岛',
+    terrain: 'none',
+    water: false,
+    islandChance: 0.35,
+    spawn: 'island',
+    spawnY: 40
+  },
+  void: {
+    name: '虚空',
+    terrain: 'none',
+    water: false,
+    spawn: 'platform',
+    spawnY: 40,
+    platformRadius: 2,
+    platformBlock: 'stone'
+  }
+};
+
+/** 新世界的默认预设 */
+export const DEFAULT_PRESET = { type: 'default' };
+
+/** 超平坦单层的最大厚度 */
+const MAX_LAYER_COUNT = 64;
+
+/**
+ * 解析超平坦地层描述，格式与常见的超平坦预设一致：自下而上以逗号分隔，"数量*方块" 表示重复
+ * 例如 "bedrock,3*stone,2*dirt,grass"
+ * @param {string} text - 地层描述
+ * @returns {Array<{block: string, count: number}>} 地层列表
+ * @throws {Error} 描述为空或格式错误时抛出
+ */
+export function parseSuperflatLayers(text) {
+  const layers = [];
+  for (const part of String(text).split(',')) {
+    const token = part.trim();
+    if (!token) continue;
+    const match = /^(?:(\d+)\s*\*\s*)?([a-z_]+)$/.exec(token);
+    if (!match) throw new Error(`Invalid superflat layer: "${token}"`);
+    const count = match[1] === undefined ? 1 : Number(match[1]);
+    if (count < 1 || count > MAX_LAYER_COUNT) throw new Error(`Superflat layer count must be 1-${MAX_LAYER_COUNT}: "${token}"`);
+    layers.push({ block: match[2], count });
+  }
+  if (layers.length === 0) throw new Error('Superflat preset requires at least one layer');
+  return layers;
+}
+
+/**
+ * 将地层列表格式化为 parseSuperflatLayers 可解析的描述
+ * @param {Array<{block: string, count: number}>} layers - 地层列表
+ * @returns {string}
+ */
+export function formatSuperflatLayers(layers) {
+  return layers.map(({ block, count }) => count > 1 ? `${count}*${block}` : block).join(',');
+}
+
+/**
+ * 将存档中的预设描述展开为完整配置，未知类型回退为默认预设
+ * @param {{type: string}} [preset] - 预设描述，选项字段覆盖同名默认值
+ * @returns {Object} 预设配置（含 type 字段）
+ */
+export function resolvePreset(preset = DEFAULT_PRESET) {
+  const type = preset && WORLD_PRESETS[preset.type] ? preset.type : DEFAULT_PRESET.type;
+  const options = preset && preset.type === type ? preset : {};
+  return { ...WORLD_PRESETS[type], ...options, type };
+}
@@ -0,0 +1,45 @@
+// src/constants/WorldSettings.js
+/**
+ * 世界生成设置
+ *
+ * 创建世界时在"创建新世界"界面中编辑，与种子、预设一起保存在存档中，
+ * 并随每次区块请求发送给 WorldWorker，保证重新加载时生成完全相同的世界。
+ * 每个字段的含义、默认值与取值范围见 WORLD_SETTINGS_FIELDS；type 为 'boolean' 的字段是开关，没有取值范围
+ */
+export const WORLD_SETTINGS_FIELDS = {
+  seaLevel: { label: '海平面高度', default: -2, min: -16, max: 16, step: 1, integer: true },
+  biomeScale: { label: '群系尺寸倍率', default: 1, min: 0.25, max: 4, step: 0.25 },
+  cloudHeight: { label: '云层高度', default: 55, min: 20, max: 120, step: 1, integer: true },
+  cloudCoverage: { label: '云量', default: 0.45, min: 0, max: 1, step: 0.05 },
+  solidClouds: { label: '实心云团（可站立）', default: false, type: 'boolean' },
+  cloudClusterHeight: { label: '实心云团高度', default: 35, min: 10, max: 120, step: 1, integer: true },
+  islandChance: { label: '浮岛概率（每区块）', default: 0.08, min: 0, max: 1, step: 0.01 },
+  structureRarity: { label: '结构稀有度倍率', default: 1, min: 0.1, max: 10, step: 0.1 }
+};
+
+/** 默认世界设置 */
+export const DEFAULT_WORLD_SETTINGS = Object.freeze(
+  Object.fromEntries(Object.entries(WORLD_SETTINGS_FIELDS).map(([key, field]) => [key, field.default]))
+);
+
+/**
+ * 规范化世界设置：缺失或非法的字段使用默认值，数值限制在取值范围内
+ * 旧存档没有设置字段时得到默认设置，与设置引入前生成的世界一致
+ * @param {Object} [settings] - 待规范化的设置
+ * @returns {Object} 完整的世界设置
+ */
+export function normalizeWorldSettings(settings = {}) {
+  const result = {};
+  for (const [key, field] of Object.entries(WORLD_SETTINGS_FIELDS)) {
+    const raw = settings ? settings[key] : undefined;
+    if (field.type === 'boolean') {
+      result[key] = typeof raw === 'boolean' ? raw : field.default;
+      continue;
+    }
+    let value = raw === undefined || raw === null || raw === '' ? NaN : Number(raw);
+    if (!Number.isFinite(value)) value = field.default;
+    value = Math.min(field.max, Math.max(field.min, value));
+    result[key] = field.integer ? Math.round(value) : value;
+  }
+  return result;
+}
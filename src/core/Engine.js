@@ -3,11 +3,16 @@ import * as THREE from 'three';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 import { OBJLoader } from 'three/addons/loaders/OBJLoader.js';
 import { MTLLoader } from 'three/addons/loaders/MTLLoader.js';
-import { WORLD_CONFIG } from '../utils/MathUtils.js';
+import { getSeedInt, getWorldSettings, NOISE_SALT } from '../utils/MathUtils.js';
+import { terrainGen } from '../world/TerrainGen.js';
 import { FaceCullingSystem, faceCullingSystem } from './FaceCullingSystem.js';
+import { CloudLayer } from '../world/effects/CloudLayer.js';
+import { materials } from './materials/MaterialManager.js';
 
-// 海平面相比陆地低多少
-const warterLeverHightOffset = -1.5;
+// 水面相对海平面（世界设置 seaLevel）的高度偏移，默认海平面 -2 时水面位于 -1.5
+const waterSurfaceOffset = 0.5;
+// 地表低于 海平面 + 该值 的位置视为近海，显示水面
+const nearOceanOffset = 1.2;
 // 雾颜色
 const forgColor = 0x94bcf5; // 原单色天空球的雾色：0x62b4d5
 const waterColor = 0x588be4; // 原来的颜色 0x4488ff; // 水颜色
@@ -19,6 +24,99 @@ export let gunModel = null;
 export let mag7Model = null;
 export let minigunModel = null;
 
+/**
+ * 水面着色器使用的地形噪声 (GLSL 版本)
+ * 与 MathUtils.js 中的 hash3i / gradientNoise2D / fbm2D 逐位一致，
+ * 通道盐值直接取自 NOISE_SALT，保证着色器判断的海岸线与 TerrainGen 相同
+ * 注意：着色器中不做群系混合（采样开销过大），群系交界处的海岸线为近似值
+ */
+const terrainNoiseGLSL = `
+  uniform int uSeed;
+  uniform float uSeaLevel;   // 世界设置中的海平面
+  uniform float uBiomeFreq;  // 群系噪声频率倍率（群系尺寸倍率的倒数）
+  uniform float uHeightScale; // 预设的地形放大倍数（放大化世界）
+
+  const vec2 GRAD2[8] = vec2[8](
+    vec2(1.0, 1.0), vec2(-1.0, 1.0), vec2(1.0, -1.0), vec2(-1.0, -1.0),
+    vec2(1.0, 0.0), vec2(-1.0, 0.0), vec2(0.0, 1.0), vec2(0.0, -1.0)
+  );
+
+  uint hash3i(int x, int y, int z, int seed) {
+    uint h = (uint(x) * 0x27d4eb2du) ^ (uint(y) * 0x165667b1u) ^ (uint(z) * 0x1b873593u) ^ uint(seed);
+    h = (h ^ (h >> 15u)) * 0x85ebca6bu;
+    h = (h ^ (h >> 13u)) * 0xc2b2ae35u;
+    return h ^ (h >> 16u);
+  }
+
+  float fade(float t) {
+    return t * t * t * (t * (t * 6.0 - 15.0) + 10.0);
+  }
+
+  float grad2(int ix, int iz, int seed, float dx, float dz) {
+    vec2 g = GRAD2[int(hash3i(ix, 0, iz, seed) & 7u)];
+    return g.x * dx + g.y * dz;
+  }
+
+  float gradientNoise2D(float x, float z, int salt) {
+    int seed = int(uint(uSeed) + uint(salt) * 0x9e3779b9u);
+    float fx0 = floor(x), fz0 = floor(z);
+    int x0 = int(fx0), z0 = int(fz0);
+    float fx = x - fx0, fz = z - fz0;
+    float u = fade(fx), v = fade(fz);
+    float n00 = grad2(x0, z0, seed, fx, fz);
+    float n10 = grad2(x0 + 1, z0, seed, fx - 1.0, fz);
+    float n01 = grad2(x0, z0 + 1, seed, fx, fz - 1.0);
+    float n11 = grad2(x0 + 1, z0 + 1, seed, fx - 1.0, fz - 1.0);
+    return mix(mix(n00, n10, u), mix(n01, n11, u), v) * 1.4142;
+  }
+
+  float fbm2D(float x, float z, float scale, int octaves, int salt) {
+    float sum = 0.0, amp = 1.0, freq = scale, norm = 0.0;
+    for (int i = 0; i < octaves; i++) {
+      sum += gradientNoise2D(x * freq, z * freq, salt * 16 + i) * amp;
+      norm += amp;
+      amp *= 0.5;
+      freq *= 2.0;
+    }
+    return sum / norm;
+  }
+
+  float getLandHeight(float x, float z) {
+    float continent = fbm2D(x, z, 0.004, 3, ${NOISE_SALT.CONTINENT});
+    float detail = fbm2D(x, z, 0.02, 4, ${NOISE_SALT.HEIGHT});
+    float h = floor(continent * 10.0 + detail * 6.0);
+    // OCEAN / DEEP_OCEAN：海床随大陆噪声下沉（与 TerrainGen.getOceanDrop 一致）
+    if (continent < -0.2) {
+      float t = clamp((-0.2 - continent) / 0.35, 0.0, 1.0);
+      return floor(h - t * t * 22.0);
+    }
+    // MOUNTAINS / HILLS：抬升从 0 开始增长，水边的山地高度近似为基础高度
+    if (fbm2D(x, z, 0.005, 3, ${NOISE_SALT.MOUNTAIN}) > 0.2) return h;
+    float temp = fbm2D(x, z, 0.01 * uBiomeFreq, 3, ${NOISE_SALT.TEMPERATURE});
+    float hum = fbm2D(x + 1000.0, z + 1000.0, 0.015 * uBiomeFreq, 3, ${NOISE_SALT.HUMIDITY});
+    float frost = fbm2D(x - 1000.0, z - 1000.0, 0.006, 2, ${NOISE_SALT.FROST});
+
+    if (temp > 0.2 || (temp > 0.08 && hum > 0.0)) return h; // FOREST / AZALEA / SNOWY_TAIGA
+    if (frost > 0.3) return floor(h * 0.7 + 1.0); // TUNDRA
+    if (temp < -0.25) return floor(h * 0.5 + 2.0); // DESERT
+    if (temp > -0.25 && temp < -0.1 && hum > 0.1) return floor(h * 0.3 - 2.0); // SWAMP
+    return h;
+  }
+
+  float getHeight(float x, float z) {
+    float h = getLandHeight(x, z);
+    // 放大海平面以上的地形（与 TerrainGen.amplify 一致）
+    if (h > 0.0) h = floor(h * uHeightScale);
+    // 河道下切（与 TerrainGen.getRiver / carveRiver 一致）
+    float n = abs(fbm2D(x, z, 0.0025, 2, ${NOISE_SALT.RIVER}));
+    if (n >= 0.03) return h;
+    float t = n <= 0.01 ? 1.0 : 1.0 - (n - 0.01) / 0.02;
+    t = t * t * (3.0 - 2.0 * t);
+    t *= 1.0 - clamp((fbm2D(x, z, 0.005, 3, ${NOISE_SALT.MOUNTAIN}) - 0.2) / 0.12, 0.0, 1.0);
+    return floor(mix(h, min(h, uSeaLevel - 3.0), t));
+  }
+`;
+
 // 定义并导出 Engine 类，用于管理游戏的核心渲染引擎
 export class Engine {
   // Engine 类的构造函数
@@ -29,15 +127,19 @@ export class Engine {
     this.scene.background = null;
     // 在场景中添加雾效
     // forgColor: 雾的颜色（浅蓝色），与背景/地平线颜色匹配
-    // 20: 雾开始出现的近距，此距离内物体完全清晰
-    // 70: 雾完全覆盖的远距，此距离外物体被完全遮盖，用于平滑过渡区块卸载的边界
-    this.scene.fog = new THREE.Fog(forgColor, 30, 70);
+    // fogNear: 雾开始出现的近距，此距离内物体完全清晰
+    // fogFar: 雾完全覆盖的远距，此距离外物体被完全遮盖，用于平滑过渡区块卸载的边界
+    // 两者随渲染距离变化，见 setRenderDistance；水面着色器的雾从 waterFogNear 开始
+    this.fogNear = 30;
+    this.fogFar = 70;
+    this.waterFogNear = 20;
+    this.scene.fog = new THREE.Fog(forgColor, this.fogNear, this.fogFar);
 
     // 创建一个透视相机
     // 75: 视野角度 (FOV)，典型第一人称游戏设定
     // innerWidth / innerHeight: 宽高比，自动适配窗口
     // 0.1: 近裁剪面，物体离相机多近时开始不可见
-    // 200: 远裁剪面，物体离相机多远时开始不可见，应大于雾的最大距离 (70)
+    // 200: 远裁剪面，物体离相机多远时开始不可见，应大于雾的最大距离，渲染距离较大时相应增大
     this.camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 200);
     // 设置相机的旋转顺序为 YXZ，这对于第一人称控制器很重要
     this.camera.rotation.order = 'YXZ';
@@ -100,6 +202,8 @@ export class Engine {
 
     // 创建全局水面
     this.createWaterPlane();
+    // 创建体积云层（不属于区块数据）
+    this.cloudLayer = new CloudLayer(this.scene);
 
     // 预分配向量以优化性能，避免在主循环中产生垃圾回收
     this._tmpVec = new THREE.Vector3();
@@ -299,6 +403,33 @@ export class Engine {
     this.onResize();
   }
 
+  /**
+   * 按渲染距离调整雾与相机远裁剪面：雾在最远一圈区块的外缘完全覆盖
+   * 默认的 3 个区块对应雾 30 ~ 70、水面雾 20 ~ 70
+   * @param {number} distance - 渲染距离（区块）
+   */
+  setRenderDistance(distance) {
+    this.fogFar = (distance + 1) * 16 + 6;
+    this.fogNear = Math.round(this.fogFar * 3 / 7);
+    this.waterFogNear = Math.round(this.fogFar * 2 / 7);
+    this.camera.far = Math.max(200, this.fogFar + 50);
+    this.camera.updateProjectionMatrix();
+    // 水下使用固定的近距离雾，离开水面时再应用
+    if (!this.isUnderwater) this.applyFogDistance();
+  }
+
+  /**
+   * 将当前的雾距离应用到场景与水面
+   */
+  applyFogDistance() {
+    this.scene.fog.near = this.fogNear;
+    this.scene.fog.far = this.fogFar;
+    if (this.waterMaterial) {
+      this.waterMaterial.uniforms.uFogNear.value = this.waterFogNear;
+      this.waterMaterial.uniforms.uFogFar.value = this.fogFar;
+    }
+  }
+
   // 创建太阳 Sprite
   createSun() {
     const canvas = document.createElement('canvas');
@@ -395,10 +526,13 @@ export class Engine {
         uColor: { value: new THREE.Color(waterColor) },
         uSunDirection: { value: this.sunDirection },
         uOpacity: { value: waterOpacity },
-        uSeed: { value: WORLD_CONFIG.SEED },
+        uSeed: { value: getSeedInt() },
+        uSeaLevel: { value: getWorldSettings().seaLevel },
+        uBiomeFreq: { value: 1 / getWorldSettings().biomeScale },
+        uHeightScale: { value: terrainGen.getPreset().heightScale || 1 },
         uFogColor: { value: new THREE.Color(waterForgColor) },
-        uFogNear: { value: 20 },
-        uFogFar: { value: 70 }
+        uFogNear: { value: this.waterFogNear },
+        uFogFar: { value: this.fogFar }
       },
       vertexShader: `
         varying vec3 vWorldPosition;
@@ -419,26 +553,12 @@ export class Engine {
         uniform vec3 uColor;
         uniform vec3 uSunDirection;
         uniform float uOpacity;
-        uniform float uSeed;
         uniform vec3 uFogColor;
         uniform float uFogNear;
         uniform float uFogFar;
         varying vec3 vWorldPosition;
         varying float vDepth;
-
-        float getNoise(float x, float z, float scale) {
-          return sin((x + uSeed) * scale) * 2.0 + cos((z + uSeed) * scale) * 2.0;
-        }
-
-        float getHeight(float x, float z) {
-          float h = getNoise(x, z, 0.08) + getNoise(x, z, 0.02) * 3.0;
-          float temp = getNoise(x, z, 0.01);
-          float hum = getNoise(x + 1000.0, z + 1000.0, 0.015);
-
-          if (temp < -1.5) return h * 0.5 + 2.0; // DESERT
-          if (temp > -1.5 && temp < -0.8 && hum > 0.5) return h * 0.3 - 2.0; // SWAMP
-          return h;
-        }
+        ${terrainNoiseGLSL}
 
         void main() {
           vec2 pos = vWorldPosition.xz;
@@ -448,15 +568,16 @@ export class Engine {
           // --- 陆地/海洋显示逻辑 ---
           if (dist < 60.0) {
             bool nearOcean = false;
-            if (getHeight(pos.x, pos.y) < -0.8) {
+            float nearOceanLevel = uSeaLevel + ${nearOceanOffset.toFixed(1)};
+            if (getHeight(pos.x, pos.y) < nearOceanLevel) {
               nearOcean = true;
             } else {
-              if (getHeight(pos.x + 4.0, pos.y) < -0.8) nearOcean = true;
-              else if (getHeight(pos.x - 4.0, pos.y) < -0.8) nearOcean = true;
-              else if (getHeight(pos.x, pos.y + 4.0) < -0.8) nearOcean = true;
-              else if (getHeight(pos.x, pos.y - 4.0) < -0.8) nearOcean = true;
-              else if (getHeight(pos.x + 3.0, pos.y + 3.0) < -0.8) nearOcean = true;
-              else if (getHeight(pos.x - 3.0, pos.y - 3.0) < -0.8) nearOcean = true;
+              if (getHeight(pos.x + 4.0, pos.y) < nearOceanLevel) nearOcean = true;
+              else if (getHeight(pos.x - 4.0, pos.y) < nearOceanLevel) nearOcean = true;
+              else if (getHeight(pos.x, pos.y + 4.0) < nearOceanLevel) nearOcean = true;
+              else if (getHeight(pos.x, pos.y - 4.0) < nearOceanLevel) nearOcean = true;
+              else if (getHeight(pos.x + 3.0, pos.y + 3.0) < nearOceanLevel) nearOcean = true;
+              else if (getHeight(pos.x - 3.0, pos.y - 3.0) < nearOceanLevel) nearOcean = true;
             }
 
             if (!nearOcean) {
@@ -506,7 +627,8 @@ export class Engine {
 
     this.waterPlane = new THREE.Mesh(waterGeo, this.waterMaterial);
     this.waterPlane.rotation.x = -Math.PI / 2; // 将平面旋转到水平位置
-    this.waterPlane.position.y = warterLeverHightOffset; // 设置水平面高度，略低于地面基准面
+    this.waterPlane.position.y = getWorldSettings().seaLevel + waterSurfaceOffset; // 设置水平面高度，略高于最上层水方块的底部
+    this.waterPlane.visible = terrainGen.getPreset().water; // 超平坦、空岛与虚空预设没有海洋
     this.scene.add(this.waterPlane);
 
     // --- 隐藏面剔除系统初始化 ---
@@ -572,43 +694,42 @@ export class Engine {
     if (this.waterMaterial) {
       this.waterMaterial.uniforms.uTime.value += 0.015;
       // 强制同步种子，确保存档加载后的水面一致性
-      this.waterMaterial.uniforms.uSeed.value = WORLD_CONFIG.SEED;
+      this.waterMaterial.uniforms.uSeed.value = getSeedInt();
+      this.waterMaterial.uniforms.uSeaLevel.value = getWorldSettings().seaLevel;
+      this.waterMaterial.uniforms.uBiomeFreq.value = 1 / getWorldSettings().biomeScale;
+      this.waterMaterial.uniforms.uHeightScale.value = terrainGen.getPreset().heightScale || 1;
     }
 
+    // 推进岩浆等动画材质
+    materials.update();
+
     // 水面跟随相机移动
     if (this.waterPlane) {
       this.waterPlane.position.x = this.camera.position.x;
       this.waterPlane.position.z = this.camera.position.z;
     }
+    // 云层随风漂移并跟随相机
+    this.cloudLayer.update(this.camera);
 
     // 动态水下雾效更新
     const camX = this.camera.position.x;
     const camY = this.camera.position.y;
     const camZ = this.camera.position.z;
-    const waterLevel = warterLeverHightOffset; // 动态水雾效果高度，和waterPlane.position.y要一起配合配置
-
-    // --- 模拟高度计算以判断是否在“近海”区域 ---
-    const getNoise = (x, z, scale) => {
-      const nx = x + WORLD_CONFIG.SEED, nz = z + WORLD_CONFIG.SEED;
-      return Math.sin(nx * scale) * 2 + Math.cos(nz * scale) * 2;
-    };
-
-    const getHeight = (x, z) => {
-      const h = getNoise(x, z, 0.08) + getNoise(x, z, 0.02) * 3;
-      const temp = getNoise(x, z, 0.01);
-      const hum = getNoise(x + 1000, z + 1000, 0.015);
-      if (temp < -1.5) return h * 0.5 + 2;
-      if (temp > -1.5 && temp < -0.8 && hum > 0.5) return h * 0.3 - 2;
-      return h;
-    };
+    const waterLevel = this.waterPlane.position.y; // 动态水雾效果高度，与水面高度一致
+
+    // --- 使用与区块生成相同的地形高度判断是否在“近海”区域 ---
+    const getHeight = (x, z) => terrainGen.getColumn(Math.floor(x), Math.floor(z)).height;
+    const nearOceanLevel = getWorldSettings().seaLevel + nearOceanOffset;
 
     let isNearOcean = false;
-    if (getHeight(camX, camZ) < -0.8) {
+    if (!this.waterPlane.visible) {
+      // 没有海洋的世界预设不会进入水下
+    } else if (getHeight(camX, camZ) < nearOceanLevel) {
       isNearOcean = true;
     } else {
       // 检查周围 4 个单位
-      if (getHeight(camX + 4, camZ) < -0.8 || getHeight(camX - 4, camZ) < -0.8 ||
-          getHeight(camX, camZ + 4) < -0.8 || getHeight(camX, camZ - 4) < -0.8) {
+      if (getHeight(camX + 4, camZ) < nearOceanLevel || getHeight(camX - 4, camZ) < nearOceanLevel ||
+          getHeight(camX, camZ + 4) < nearOceanLevel || getHeight(camX, camZ - 4) < nearOceanLevel) {
         isNearOcean = true;
       }
     }
@@ -629,14 +750,11 @@ export class Engine {
     } else {
       if (this.isUnderwater) {
         this.scene.fog.color.set(forgColor);
-        this.scene.fog.near = 20;
-        this.scene.fog.far = 60;
         this.isUnderwater = false;
+        this.applyFogDistance();
 
         if (this.waterMaterial) {
           this.waterMaterial.uniforms.uFogColor.value.set(forgColor);
-          this.waterMaterial.uniforms.uFogNear.value = 20;
-          this.waterMaterial.uniforms.uFogFar.value = 60;
         }
       }
     }
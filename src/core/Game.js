@@ -24,6 +24,7 @@ export class Game {
     this.engine = new Engine();
     // 初始化游戏世界（地形、区块等）
     this.world = new World(this.engine.scene);
+    this.engine.setRenderDistance(this.world.renderDistance);
     // 初始化玩家角色
     this.player = new Player(this.world, this.engine.camera);
     this.player.game = this; // 将游戏实例传递给玩家对象
@@ -112,6 +113,7 @@ export class Game {
     this.player.inventory.add('marble', 1500);
     this.player.inventory.add('cactus', 1500);
     this.player.inventory.add('tnt', 1500);
+    this.player.inventory.add('lava', 1500);
     this.player.inventory.add('chest', 1500);
     this.player.inventory.add('handrail', 1500);
     this.player.inventory.add('handrailA', 1500);
@@ -186,7 +188,7 @@ export class Game {
     if (this.player) this.player.update(dt); // 更新玩家状态（移动、物理等）
     const t2 = performance.now();
 
-    if (this.world && this.player) this.world.update(this.player.position, dt); // 更新世界状态（区块加载等）
+    if (this.world && this.player) this.world.update(this.player.position, dt, this.engine.camera); // 更新世界状态（区块加载等）
     const t3 = performance.now();
 
     if (this.ui) this.ui.update(dt); // 更新UI
@@ -237,6 +239,15 @@ export class Game {
     this.perfStats.render = t2 - t1;
   }
 
+  /**
+   * 设置渲染距离（区块），同步调整世界的区块 / LOD 范围与引擎的雾和远裁剪面
+   * @param {number} distance - 渲染距离，超出范围时被限制
+   */
+  setRenderDistance(distance) {
+    this.world.setRenderDistance(distance);
+    this.engine.setRenderDistance(this.world.renderDistance);
+  }
+
   /**
    * 收集当前游戏快照并保存到磁盘
    */
@@ -258,7 +269,10 @@ export class Game {
     const snapshot = {
       player: playerSnapshot,
       worldDeltas: worldDeltas,
-      seed: WORLD_CONFIG.SEED
+      seed: WORLD_CONFIG.SEED,
+      preset: WORLD_CONFIG.PRESET,
+      settings: WORLD_CONFIG.SETTINGS,
+      renderDistance: this.world.renderDistance
     };
 
     console.log(`[Save] Game saved with seed: ${WORLD_CONFIG.SEED}`);
@@ -282,7 +296,12 @@ export class Game {
     this.player.camera.position.y += 1.65;
     this.player.camera.rotation.set(p.pitch, p.yaw, 0);
 
-    // 2. 注入方块增量缓存
+    // 2. 恢复渲染距离（旧存档没有该字段，保持默认）
+    if (saveData.renderDistance !== undefined) {
+      this.setRenderDistance(saveData.renderDistance);
+    }
+
+    // 3. 注入方块增量缓存
     if (saveData.worldDeltas && persistenceService.injectSaveData) {
       persistenceService.injectSaveData(saveData.worldDeltas);
     }
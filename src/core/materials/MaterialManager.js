@@ -19,6 +19,15 @@ export class MaterialManager {
     this.textureLoader = new THREE.TextureLoader(); // Three.js 纹理加载器
     this.textureCache = new Map();     // 纹理缓存
     this.defaultMaterial = new THREE.MeshStandardMaterial({ color: 0xff00ff }); // 默认材质（洋红色，用于调试）
+    this.time = { value: 0 };          // 动画材质共享的时间 uniform，由 update 推进
+  }
+
+  /**
+   * 推进动画材质（如岩浆）的时间，每帧调用一次
+   * 与水面动画一致，每帧推进固定步长
+   */
+  update() {
+    this.time.value += 0.015;
   }
 
   /**
@@ -36,6 +45,9 @@ export class MaterialManager {
         texture.generateMipmaps = false;
         // SRGBColorSpace: 确保颜色在 WebGL2 中渲染正确，符合现代颜色工作流
         texture.colorSpace = THREE.SRGBColorSpace;
+        // 合并网格的 UV 按方块数超出 0-1，纹理需要逐方块重复
+        texture.wrapS = THREE.RepeatWrapping;
+        texture.wrapT = THREE.RepeatWrapping;
         this.textureCache.set(url, texture); // 将加载完成的纹理存入缓存
       })
     ));
@@ -150,6 +162,8 @@ export class MaterialManager {
       texture.minFilter = THREE.NearestFilter;
       texture.generateMipmaps = false;
       texture.colorSpace = THREE.SRGBColorSpace;
+      texture.wrapS = THREE.RepeatWrapping;
+      texture.wrapT = THREE.RepeatWrapping;
 
       const mat = new THREE.MeshStandardMaterial({
         map: texture,
@@ -158,7 +172,15 @@ export class MaterialManager {
         side: def.side || THREE.FrontSide,
         alphaTest: def.alphaTest || 0
       });
-      if (useAO) this._applyShaderModifications(mat);
+      if (def.emissive) {
+        // 自发光：程序化纹理同时作为发光贴图，暗处也保持纹理本身的亮度
+        mat.emissive.set(def.emissive);
+        mat.emissiveMap = texture;
+        mat.emissiveIntensity = def.emissiveIntensity || 1;
+      }
+      // 自定义着色器（如岩浆的流动动画）取代 AO 注入
+      if (def.shader) def.shader(mat, this.time);
+      else if (useAO) this._applyShaderModifications(mat);
       return mat;
     }
 
@@ -341,6 +363,36 @@ function mkDetailMat(baseCol, detailCol, isTransparent=false, drawFunc) {
   };
 }
 
+/**
+ * 岩浆着色器：纹理坐标随时间缓慢流动并轻微扭曲，发光强度起伏
+ * @param {THREE.MeshStandardMaterial} material - 岩浆材质
+ * @param {{value: number}} time - 共享的时间 uniform
+ */
+function applyLavaShader(material, time) {
+  material.onBeforeCompile = (shader) => {
+    shader.uniforms.uTime = time;
+    shader.fragmentShader = `
+      uniform float uTime;
+    ` + shader.fragmentShader;
+
+    shader.fragmentShader = shader.fragmentShader.replace(
+      '#include <map_fragment>',
+      `
+      vec2 lavaUv = fract(vMapUv + vec2(sin(uTime * 0.6 + vMapUv.y * 6.2832) * 0.04, uTime * 0.03));
+      diffuseColor *= texture2D(map, lavaUv);
+      `
+    );
+
+    shader.fragmentShader = shader.fragmentShader.replace(
+      '#include <emissivemap_fragment>',
+      `
+      float lavaPulse = 0.85 + 0.15 * sin(uTime * 1.5 + (vMapUv.x + vMapUv.y) * 6.2832);
+      totalEmissiveRadiance *= texture2D(emissiveMap, lavaUv).rgb * lavaPulse;
+      `
+    );
+  };
+}
+
 // ============================================
 // 默认材质注册
 // ============================================
@@ -388,6 +440,32 @@ materials.registerMaterial('stone', {
   }
 }); // 石头
 
+materials.registerMaterial('deepslate', {
+  color: '#4A4A50',
+  textureGenerator: (ctx) => {
+    // 深板岩的横向层理
+    ctx.fillStyle = '#38383D';
+    for (let y = 6; y < 64; y += 12) {
+      ctx.fillRect(0, y + Math.floor(Math.random() * 3), 64, 2);
+    }
+    for (let i = 0; i < 80; i++) {
+      ctx.fillStyle = `rgba(0,0,0,${Math.random() * 0.2})`;
+      ctx.fillRect(Math.random() * 64, Math.random() * 64, 3, 1);
+    }
+  }
+}); // 深板岩
+
+materials.registerMaterial('bedrock', {
+  color: '#575757',
+  textureGenerator: (ctx) => {
+    // 深浅不一的大块斑点
+    for (let i = 0; i < 60; i++) {
+      ctx.fillStyle = Math.random() < 0.5 ? '#2B2B2B' : '#7A7A7A';
+      ctx.fillRect(Math.floor(Math.random() * 16) * 4, Math.floor(Math.random() * 16) * 4, 8, 4);
+    }
+  }
+}); // 基岩
+
 materials.registerMaterial('gold_ore', {
   textureUrl: './src/world/assets/textures/Deepslate_Gold.png'
 }); // 黄金矿石
@@ -498,8 +576,28 @@ materials.registerMaterial('leaves', {
   transparent: true,
   alphaTest: 0.3
 }); // 树叶
+materials.registerMaterial('spruce_leaves', mkMat('#2E4A32')); // 云杉树叶
+materials.registerMaterial('snow', mkMat('#F4F8FC')); // 雪
+materials.registerMaterial('ice', mkMat('#9FD3F0', 0.8)); // 冰
+materials.registerMaterial('gravel', mkMat('#8A8580')); // 砂砾
+materials.registerMaterial('clay', mkMat('#A4A8B8')); // 黏土
+materials.registerMaterial('coral_block', mkMat('#E0607E')); // 红珊瑚块
+materials.registerMaterial('coral_block_yellow', mkMat('#E8C64A')); // 黄珊瑚块
+materials.registerMaterial('coral_block_blue', mkMat('#3F6FD8')); // 蓝珊瑚块
 materials.registerMaterial('water', mkMat('#205099', 0.6)); // 水
 materials.registerMaterial('swamp_water', mkMat('#2F4F4F', 0.7)); // 沼泽水
+materials.registerMaterial('lava', {
+  color: '#D9420B',
+  emissive: '#FFFFFF',
+  textureGenerator: (ctx) => {
+    // 暗红色的冷却硬壳与明亮的熔岩斑块
+    for (let i = 0; i < 40; i++) {
+      ctx.fillStyle = Math.random() < 0.5 ? 'rgba(120,20,0,0.6)' : 'rgba(255,190,40,0.7)';
+      ctx.fillRect(Math.random() * 64, Math.random() * 64, 4 + Math.random() * 8, 4 + Math.random() * 8);
+    }
+  },
+  shader: applyLavaShader
+}); // 岩浆（自发光，缓慢流动）
 
 const swampGrassSide = { textureUrl: './src/world/assets/textures/Mossy_Cobblestone_side.png' };
 const swampGrassTopBottom = mkMat('#4C5E34');
@@ -532,6 +630,7 @@ materials.registerMaterial('bookbox', {
 materials.registerMaterial('carBody', mkMat('#FFD700')); // 汽车
 materials.registerMaterial('wheel', mkMat('#222222')); // 轮子
 materials.registerMaterial('cloud', mkMat('#FFFFFF', 1)); // 云
+materials.registerMaterial('cloud_block', mkMat('#EEF4FF')); // 云块（群岛之间的云桥，可站立）
 materials.registerMaterial('sky_stone', mkMat('#DDDDDD')); // 天空石头
 materials.registerMaterial('sky_grass', mkMat('#88CCFF')); // 天空草
 materials.registerMaterial('sky_wood', mkMat('#DDA0DD')); // 天空木头
@@ -605,6 +704,43 @@ materials.registerMaterial('lilypad', mkDetailMat(null, '#228B22', true, (ctx) =
   ctx.beginPath(); ctx.arc(32,32,28,0.3, Math.PI*1.8); ctx.fill(); // 圆心(32,32)，半径28，起始弧度0.3，结束弧度1.8π（制造缺口效果）
 }));
 
+materials.registerMaterial('wheat', mkDetailMat(null, '#D8B84A', true, (ctx) => {
+  for(let i=0; i<5; i++) { // 5株麦秆
+    const x = 8+i*12;
+    ctx.fillStyle = '#9C8A3C'; ctx.fillRect(x, 20, 2, 44); // 麦秆
+    ctx.fillStyle = '#D8B84A'; ctx.fillRect(x-2, 6, 6, 16); // 麦穗
+  }
+}));
+
+materials.registerMaterial('seagrass', mkDetailMat(null, '#3E8E41', true, (ctx) => {
+  ctx.strokeStyle = '#3E8E41'; ctx.lineWidth = 3; // 海草叶片宽度3像素
+  for(let i=0; i<6; i++) { // 从底部长出6片细长叶片
+    ctx.beginPath();
+    ctx.moveTo(8+i*10, 64);
+    ctx.quadraticCurveTo(4+i*10+Math.random()*8, 32, 8+i*10+Math.random()*8-4, 8+Math.random()*16); // 叶尖高度随机
+    ctx.stroke();
+  }
+}));
+
+materials.registerMaterial('kelp', mkDetailMat(null, '#4B7A2A', true, (ctx) => {
+  ctx.fillStyle = '#4B7A2A'; ctx.fillRect(30,0,4,64); // 主茎贯穿整个方块，上下相接
+  for(let y=4; y<64; y+=16) { // 每16像素交替向两侧伸出一片叶子
+    ctx.beginPath(); ctx.ellipse(24,y,10,5,-0.5,0,Math.PI*2); ctx.fill();
+    ctx.beginPath(); ctx.ellipse(40,y+8,10,5,0.5,0,Math.PI*2); ctx.fill();
+  }
+}));
+
+materials.registerMaterial('coral_fan', mkDetailMat(null, '#E0607E', true, (ctx) => {
+  ctx.strokeStyle = '#E0607E'; ctx.lineWidth = 3; // 珊瑚扇分枝宽度3像素
+  for(let i=0; i<7; i++) { // 从底部中心向上呈扇形展开7条分枝
+    const angle = -Math.PI/2 + (i-3) * 0.3;
+    ctx.beginPath();
+    ctx.moveTo(32, 64);
+    ctx.lineTo(32 + Math.cos(angle)*44, 64 + Math.sin(angle)*44);
+    ctx.stroke();
+  }
+}));
+
 materials.registerMaterial('realistic_trunk_procedural', {
   color: '#5D4037', // 深棕色
   textureGenerator: (ctx) => {
@@ -14,7 +14,11 @@ export const PHYSICS_CONSTANTS = {
   FRICTION_CORNER: 0.7,
   JUMP_FORCE: 10.0,         // 调整为冲量速度
   SPEED: 8.0,               // 调整为每秒速度 (约为 0.133 * 60)
-  CAMERA_WIDTH: 0.3
+  CAMERA_WIDTH: 0.3,
+  LAVA_SPEED_FACTOR: 0.35,  // 岩浆中的水平移动速度倍率
+  LAVA_GRAVITY_FACTOR: 0.3, // 岩浆中的重力倍率（缓慢下沉）
+  LAVA_TERMINAL_VELOCITY: -3.0,
+  LAVA_SWIM_SPEED: 3.0      // 岩浆中按住跳跃键的上浮速度
 };
 
 import { getBlockProperties } from '../../constants/BlockData.js';
@@ -39,6 +43,21 @@ export class Physics {
     this.playerWidth = PHYSICS_CONSTANTS.PLAYER_WIDTH;
     this.jumpForce = PHYSICS_CONSTANTS.JUMP_FORCE;
     this.speed = PHYSICS_CONSTANTS.SPEED;
+    this.lavaSpeedFactor = PHYSICS_CONSTANTS.LAVA_SPEED_FACTOR;
+    this.lavaGravityFactor = PHYSICS_CONSTANTS.LAVA_GRAVITY_FACTOR;
+    this.lavaTerminalVelocity = PHYSICS_CONSTANTS.LAVA_TERMINAL_VELOCITY;
+    this.lavaSwimSpeed = PHYSICS_CONSTANTS.LAVA_SWIM_SPEED;
+  }
+
+  /**
+   * 检查玩家的脚部或躯干是否浸在岩浆中
+   * @param {number} x - 逻辑中心 X
+   * @param {number} y - 逻辑底部 Y
+   * @param {number} z - 逻辑中心 Z
+   * @returns {boolean}
+   */
+  isInLava(x, y, z) {
+    return this.world.getBlock(x, y, z) === 'lava' || this.world.getBlock(x, y + 1, z) === 'lava';
   }
 
   /**
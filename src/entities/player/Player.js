@@ -6,8 +6,11 @@ import * as THREE from 'three';
 import { audioManager } from '../../core/AudioManager.js';
 import { Physics } from './Physics.js';
 import { Inventory } from './Slots.js';
-import { getBiome, noise } from '../../utils/MathUtils.js';
+import { terrainGen } from '../../world/TerrainGen.js';
+import { getWorldSettings } from '../../utils/MathUtils.js';
+import { TERRAIN_CONFIG } from '../../constants/TerrainConfig.js';
 import { chestManager } from '../../world/entities/Chest.js';
+import { LOOT_TABLES, rollLoot } from '../../constants/LootTables.js';
 import { gunModel, mag7Model, minigunModel } from '../../core/Engine.js';
 
 // 武器常量
@@ -16,6 +19,12 @@ const WEAPON_GUN = 1;
 const WEAPON_MAG7 = 2;
 const WEAPON_MINIGUN = 3;
 
+// 生命值与岩浆灼烧
+const MAX_HEALTH = 20;
+const LAVA_DAMAGE = 4;              // 每次灼烧扣除的生命值
+const LAVA_DAMAGE_INTERVAL = 0.5;   // 灼烧间隔（秒）
+const HEALTH_REGEN_INTERVAL = 2;    // 离开岩浆后每恢复 1 点生命值的间隔（秒）
+
 export class Player {
   /**
     * @param {World} world - 游戏世界对象
@@ -38,18 +47,17 @@ export class Player {
     this.bobAmount = 0;         // 当前晃动强度
     this.lastInputDirection = new THREE.Vector3(); // 记录最后的输入方向
 
-    // 初始出生点逻辑
+    // 初始出生点逻辑：非噪声地形的预设固定在原点上空出生（空岛与虚空预设在此生成出生浮岛 / 平台）
     let spawnFound = false;
-    for (let i = 0; i < 1000; i++) {
+    for (let i = 0; i < 1000 && terrainGen.getPreset().terrain === 'noise'; i++) {
       const tx = (Math.random() - 0.5) * 20000;
       const tz = (Math.random() - 0.5) * 20000;
 
-      const biome = getBiome(tx, tz);
+      const { biome, height: h } = terrainGen.getColumn(Math.floor(tx), Math.floor(tz));
       // 尝试在森林或平原生物群系出生
       if (biome === 'FOREST' || biome === 'PLAINS') {
-        // 计算预估地形高度，确保不在水面上（海平面约 -1.5）
-        const h = Math.floor(noise(tx, tz, 0.08) + noise(tx, tz, 0.02) * 3);
-        if (h > -0.5) {
+        // 预估地形高度，确保不在水面上
+        if (h > getWorldSettings().seaLevel + 1.5) {
           this.position.set(tx, 70, tz);
           spawnFound = true;
           break;
@@ -57,6 +65,11 @@ export class Player {
       }
     }
     if (!spawnFound) this.position.set(0, 70, 0);
+    this.spawnPoint = this.position.clone(); // 生命值耗尽后的重生点
+
+    this.health = MAX_HEALTH;
+    this.burnTimer = 0;  // 距下一次岩浆灼烧的时间（秒）
+    this.regenTimer = 0; // 生命值恢复计时（秒）
 
     this.velocity = new THREE.Vector3();
     this.jumping = false;
@@ -372,8 +385,9 @@ export class Player {
     const oldX = this.position.x;
     const oldZ = this.position.z;
 
-    // 4. 输入驱动速度
-    const speed = this.physics.speed;
+    // 4. 输入驱动速度（岩浆中移动缓慢）
+    const inLava = this.physics.isInLava(this.position.x, this.position.y, this.position.z);
+    const speed = this.physics.speed * (inLava ? this.physics.lavaSpeedFactor : 1);
     let inputX = 0;
     let inputZ = 0;
 
@@ -483,7 +497,8 @@ export class Player {
       }
     }
     if(gy === -100) {
-      gy = Math.floor(noise(px, pz) * 0.5) + 1;
+      // 脚下 4 格内都是空气时自由下落，最低落在基岩层上
+      gy = TERRAIN_CONFIG.BEDROCK_Y + 1;
     }
 
     this.position.y += this.velocity.y * dt;
@@ -494,10 +509,12 @@ export class Player {
       this.velocity.y = 0;
       this.jumping = false;
     } else {
-      this.velocity.y += this.physics.gravity * dt;
+      // 岩浆中重力减弱、下沉速度受限
+      this.velocity.y += this.physics.gravity * (inLava ? this.physics.lavaGravityFactor : 1) * dt;
       // 终端速度限制
-      if (this.velocity.y < this.physics.terminalVelocity) {
-        this.velocity.y = this.physics.terminalVelocity;
+      const terminalVelocity = inLava ? this.physics.lavaTerminalVelocity : this.physics.terminalVelocity;
+      if (this.velocity.y < terminalVelocity) {
+        this.velocity.y = terminalVelocity;
       }
     }
 
@@ -506,18 +523,23 @@ export class Player {
       this.jumpCooldown -= dt;
     }
 
-    if (this.keys['Space'] && !this.jumping && this.jumpCooldown <= 0 && this.spaceKeyReleased) {
+    if (inLava && this.keys['Space']) {
+      // 岩浆中按住跳跃键缓慢上浮
+      this.velocity.y = this.physics.lavaSwimSpeed;
+    } else if (this.keys['Space'] && !this.jumping && this.jumpCooldown <= 0 && this.spaceKeyReleased) {
       this.velocity.y = this.physics.jumpForce;
       this.jumping = true;
       this.jumpCooldown = this.jumpInterval; // 设置冷却间隔
       this.spaceKeyReleased = false; // 触发跳跃后，标记为已消耗按键
     }
 
-    if (this.position.y < -20) {
+    if (this.position.y < TERRAIN_CONFIG.BEDROCK_Y - 16) {
       this.position.y = 60;
       this.velocity.y = 0;
     }
 
+    this.updateLavaDamage(dt, inLava);
+
     // 相机跟随与平滑处理 (T011: Y 轴插值)
     this.camera.position.x = this.position.x;
     this.camera.position.z = this.position.z;
@@ -550,6 +572,44 @@ export class Player {
     this.updateTracers(dt);
   }
 
+  /**
+   * 岩浆灼烧：浸在岩浆中时每隔 LAVA_DAMAGE_INTERVAL 秒扣除生命值，离开岩浆后缓慢恢复；
+   * 生命值耗尽时回到重生点并恢复满生命值
+   * @param {number} dt - 时间差（秒）
+   * @param {boolean} inLava - 本帧是否浸在岩浆中
+   */
+  updateLavaDamage(dt, inLava) {
+    const hud = this.game && this.game.ui && this.game.ui.hud;
+    if (!inLava) {
+      this.burnTimer = 0;
+      if (this.health < MAX_HEALTH) {
+        this.regenTimer += dt;
+        if (this.regenTimer >= HEALTH_REGEN_INTERVAL) {
+          this.regenTimer = 0;
+          this.health++;
+        }
+      }
+      return;
+    }
+
+    this.regenTimer = 0;
+    this.burnTimer -= dt;
+    if (this.burnTimer > 0) return;
+    this.burnTimer = LAVA_DAMAGE_INTERVAL;
+    this.health = Math.max(0, this.health - LAVA_DAMAGE);
+    if (this.health > 0) {
+      if (hud) hud.showMessage(`你被岩浆灼伤了！生命值 ${this.health}/${MAX_HEALTH}`);
+      return;
+    }
+
+    this.health = MAX_HEALTH;
+    this.position.copy(this.spawnPoint);
+    this.velocity.set(0, 0, 0);
+    this.camera.position.copy(this.position);
+    this.camera.position.y += 1.65;
+    if (hud) hud.showMessage('你在岩浆中被烧死了，已回到重生点');
+  }
+
   /**
    * 获取所有可交互的物体目标（包括区块和实体）
    * @returns {THREE.Object3D[]}
@@ -601,13 +661,7 @@ export class Player {
       const type = m.userData.type || 'unknown';
 
       if (type === 'tnt') {
-        const instanceId = hit.instanceId;
-        if (m.isInstancedMesh) {
-          m.getMatrixAt(instanceId, this._dummyMatrix);
-          this._dummyMatrix.decompose(this._tempVector, this._dummyQuaternion, this._dummyScale);
-        } else {
-          this._tempVector.copy(m.position);
-        }
+        this.getHitBlockCenter(hit);
 
         const key = `${Math.floor(this._tempVector.x)},${Math.floor(this._tempVector.y)},${Math.floor(this._tempVector.z)}`;
         if (!this.ignitingTNTs.has(key)) {
@@ -658,7 +712,7 @@ export class Player {
           const bz = Math.floor(this._tempVector.z);
 
           const type = this.world.getBlock(bx, by, bz);
-          if (type && type !== 'end_stone') {
+          if (type && type !== 'bedrock') {
             const key = `${bx},${by},${bz}`;
             if (!blocksByDistance.has(distanceStep)) {
               blocksByDistance.set(distanceStep, []);
@@ -1020,12 +1074,7 @@ export class Player {
         // 处理方块放置
         if (heldItem && this.inventory.has(heldItem)) {
           const normal = hit.face.normal;
-          if (m.isInstancedMesh) {
-            m.getMatrixAt(instanceId, this._dummyMatrix);
-            this._dummyMatrix.decompose(this._tempVector, this._dummyQuaternion, this._dummyScale);
-          } else {
-            this._tempVector.copy(m.position);
-          }
+          this.getHitBlockCenter(hit);
 
           const px = Math.floor(this._tempVector.x + normal.x);
           const py = Math.floor(this._tempVector.y + normal.y);
@@ -1065,12 +1114,7 @@ export class Player {
         // 处理功能组合键 (Ctrl + 左键)
         if (e.ctrlKey) {
           if (type === 'tnt') {
-            if (m.isInstancedMesh) {
-              m.getMatrixAt(instanceId, this._dummyMatrix);
-              this._dummyMatrix.decompose(this._tempVector, this._dummyQuaternion, this._dummyScale);
-            } else {
-              this._tempVector.copy(m.position);
-            }
+            this.getHitBlockCenter(hit);
             const key = `${this._tempVector.x},${this._tempVector.y},${this._tempVector.z}`;
             if (!this.ignitingTNTs.has(key)) {
               this.ignitingTNTs.add(key);
@@ -1101,6 +1145,25 @@ export class Player {
     }
   }
 
+  /**
+   * 获取射线命中的方块中心，结果写入 this._tempVector
+   * 实例化网格读取实例矩阵；合并网格覆盖多个方块，沿面法线向内退半格后取所在方块；其余为单体 Mesh 的位置
+   * @param {THREE.Intersection} hit - 射线检测结果
+   * @returns {THREE.Vector3} this._tempVector
+   */
+  getHitBlockCenter(hit) {
+    const m = hit.object;
+    if (m.isInstancedMesh) {
+      m.getMatrixAt(hit.instanceId, this._dummyMatrix);
+      this._dummyMatrix.decompose(this._tempVector, this._dummyQuaternion, this._dummyScale);
+    } else if (m.userData.isMerged) {
+      this._tempVector.copy(hit.point).addScaledVector(hit.face.normal, -0.5).floor().addScalar(0.5);
+    } else {
+      this._tempVector.copy(m.position);
+    }
+    return this._tempVector;
+  }
+
   /**
     * 打开箱子逻辑
     */
@@ -1118,9 +1181,15 @@ export class Player {
     mesh.setMatrixAt(instanceId, this._dummyMatrix);
     mesh.instanceMatrix.needsUpdate = true;
 
-    // 根据高度确定掉落物品（天域宝藏 vs 普通）
+    // 结构宝箱按其战利品表掉落，其余根据高度确定（天域宝藏 vs 普通）
     let drops = [];
-    if (pos.y > 60) {
+    const lootDrops = info.loot ? rollLoot(info.loot) : null;
+    if (lootDrops) {
+      drops = lootDrops;
+      if (this.game && this.game.ui && this.game.ui.hud) {
+        this.game.ui.hud.showMessage(`发现${LOOT_TABLES[info.loot].name}！获得: ${drops.join(', ')}`);
+      }
+    } else if (pos.y > 60) {
       drops = ['diamond', 'god_sword', 'gold_apple'];
       if (this.game && this.game.ui && this.game.ui.hud) {
         this.game.ui.hud.showMessage(`发现天域宝藏！获得: 钻石, 神剑, 金苹果!`);
@@ -1166,13 +1235,39 @@ export class Player {
       return false;
     }
 
-    // 添加到世界
-    this.world.setBlock(x, y, z, type);
+    // 添加到世界（岩浆遇水会凝固，实际放置的方块可能与 type 不同）
+    const placed = this.world.setBlock(x, y, z, type);
     this.inventory.remove(type, 1);
     audioManager.playSound('put', 0.3);
+    this.igniteTNTNearLava(x, y, z, placed);
     return true;
   }
 
+  /**
+   * 岩浆引燃相邻的 TNT：放置岩浆时引燃周围的 TNT，TNT 放在岩浆旁时立即被引燃
+   * @param {number} x - 放置位置 X
+   * @param {number} y - 放置位置 Y
+   * @param {number} z - 放置位置 Z
+   * @param {string} type - 实际放置的方块类型
+   */
+  igniteTNTNearLava(x, y, z, type) {
+    const offsets = [[1, 0, 0], [-1, 0, 0], [0, 1, 0], [0, -1, 0], [0, 0, 1], [0, 0, -1]];
+    const ignite = (tx, ty, tz) => {
+      const key = `${tx},${ty},${tz}`;
+      if (this.ignitingTNTs.has(key)) return;
+      this.ignitingTNTs.add(key);
+      this.explode(tx, ty, tz);
+    };
+
+    if (type === 'lava') {
+      for (const [dx, dy, dz] of offsets) {
+        if (this.world.getBlock(x + dx, y + dy, z + dz) === 'tnt') ignite(x + dx, y + dy, z + dz);
+      }
+    } else if (type === 'tnt' && offsets.some(([dx, dy, dz]) => this.world.getBlock(x + dx, y + dy, z + dz) === 'lava')) {
+      ignite(x, y, z);
+    }
+  }
+
   /**
     * 移除方块并生成掉落物和粒子
     */
@@ -1193,16 +1288,21 @@ export class Player {
     const type = m.userData.type || 'unknown';
 
     // 不可破坏方块检查
-    if (type === 'end_stone') return;
+    if (type === 'bedrock') return;
 
-    if (m.isInstancedMesh) {
-      m.getMatrixAt(instanceId, this._dummyMatrix);
-      this._dummyMatrix.decompose(this._tempVector, this._dummyQuaternion, this._dummyScale);
+    if (m.isInstancedMesh || m.userData.isMerged) {
+      if (m.isInstancedMesh) {
+        m.getMatrixAt(instanceId, this._dummyMatrix);
+        this._dummyMatrix.decompose(this._tempVector, this._dummyQuaternion, this._dummyScale);
 
-      // 通过缩放为0实现“视觉移除”
-      this._dummyMatrix.scale(this._zeroVector);
-      m.setMatrixAt(instanceId, this._dummyMatrix);
-      m.instanceMatrix.needsUpdate = true;
+        // 通过缩放为0实现“视觉移除”
+        this._dummyMatrix.scale(this._zeroVector);
+        m.setMatrixAt(instanceId, this._dummyMatrix);
+        m.instanceMatrix.needsUpdate = true;
+      } else {
+        // 合并网格：由命中点定位方块，区块在方块移除后重建所在的网格段
+        this.getHitBlockCenter(hit);
+      }
 
       // 生成挖掘粒子
       this.spawnParticles(this._tempVector, m.userData.type);
@@ -1285,10 +1385,7 @@ export class Player {
 
         const type = this.world.getBlock(p.x, p.y, p.z);
         if (!type) return false;
-        if (type === 'end_stone') {
-          const below = this.world.getBlock(p.x, p.y - 1, p.z);
-          if (!below) return false;
-        }
+        if (type === 'bedrock') return false;
         return true;
       });
 
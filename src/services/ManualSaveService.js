@@ -47,7 +47,7 @@ export class ManualSaveService {
 
   /**
    * 执行手动存档
-   * @param {object} snapshot - 包含 player 和 worldDeltas 的快照对象
+   * @param {object} snapshot - 包含 player、worldDeltas、seed、preset、settings 与 renderDistance 的快照对象
    */
   async save(snapshot) {
     try {
@@ -8,7 +8,7 @@ import { PERSISTENCE_CONFIG } from '../constants/PersistenceConfig.js';
 export class PersistenceService {
   constructor() {
     this.worker = new Worker(new URL('../workers/PersistenceWorker.js', import.meta.url), { type: 'module' });
-    this.cache = new Map(); // Key: "cx,cz" -> { blocks: {}, entities: {} }
+    this.cache = new Map(); // Key: "cx,cz" -> { blocks: {}, entities: {}, minY }
     this.messageId = 0;
     this.callbacks = new Map();
     this.initPromise = this.init();
@@ -54,7 +54,7 @@ export class PersistenceService {
    * 获取指定区块的全量快照数据
    * @param {number} cx - 区块X坐标
    * @param {number} cz - 区块Z坐标
-   * @returns {Promise<object|null>} 返回 { blocks, entities } 或 null
+   * @returns {Promise<object|null>} 返回 { blocks, entities, minY } 或 null
    */
   async getChunkData(cx, cz) {
     await this.initPromise;
@@ -98,6 +98,22 @@ export class PersistenceService {
     }
   }
 
+  /**
+   * 将按需生成的深层地层合并进区块快照 (直接更新内存快照)
+   * @param {number} cx - 区块X坐标
+   * @param {number} cz - 区块Z坐标
+   * @param {object} blocks - 新生成的方块 { "x,y,z": type }
+   * @param {number} minY - 扩展后已生成地层的最低 Y
+   * @param {Array<object>} [lootChests] - 扩展后区块内的全部结构宝箱
+   */
+  extendChunkData(cx, cz, blocks, minY, lootChests) {
+    const chunkData = this.cache.get(`${cx},${cz}`);
+    if (!chunkData) return;
+    chunkData.blocks = Object.assign(chunkData.blocks || {}, blocks);
+    chunkData.minY = minY;
+    if (lootChests) chunkData.entities = { ...chunkData.entities, lootChests };
+  }
+
   /**
    * 将缓存中的区块快照数据持久化到 IndexedDB
    * @param {number} cx - 区块X坐标
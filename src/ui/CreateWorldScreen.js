@@ -0,0 +1,115 @@
+// src/ui/CreateWorldScreen.js
+import { WORLD_PRESETS, DEFAULT_PRESET, parseSuperflatLayers, formatSuperflatLayers } from '../constants/WorldPresets.js';
+import { WORLD_SETTINGS_FIELDS, normalizeWorldSettings } from '../constants/WorldSettings.js';
+import { parseSeed } from '../utils/MathUtils.js';
+
+/**
+ * 创建世界界面 - 在开启新世界前输入种子、选择世界预设并编辑世界生成设置
+ * 界面元素定义在 index.html 的 #create-world-modal 中
+ */
+export class CreateWorldScreen {
+  constructor() {
+    this.modal = document.getElementById('create-world-modal');
+    this.seedInput = document.getElementById('world-seed');
+    this.presetSelect = document.getElementById('world-preset');
+    this.layersRow = document.getElementById('superflat-layers-row');
+    this.layersInput = document.getElementById('superflat-layers');
+    this.errorText = document.getElementById('create-world-error');
+    this.createBtn = document.getElementById('btn-create-world');
+    this.settingsFields = document.getElementById('world-settings-fields');
+    this.settingInputs = {};
+
+    // 预设下拉框按 WORLD_PRESETS 生成，新增预设无需修改页面
+    for (const type in WORLD_PRESETS) {
+      const option = document.createElement('option');
+      option.value = type;
+      option.innerText = WORLD_PRESETS[type].name;
+      this.presetSelect.appendChild(option);
+    }
+    this.presetSelect.value = DEFAULT_PRESET.type;
+    this.layersInput.value = formatSuperflatLayers(WORLD_PRESETS.superflat.layers);
+    this.presetSelect.onchange = () => this.updateLayersRow();
+    this.updateLayersRow();
+
+    // 设置项按 WORLD_SETTINGS_FIELDS 生成，新增设置无需修改页面
+    for (const [key, field] of Object.entries(WORLD_SETTINGS_FIELDS)) {
+      const row = document.createElement('label');
+      row.style.cssText = 'display:flex; justify-content:space-between; align-items:center; margin-top:5px;';
+      row.innerText = field.label;
+      const input = document.createElement('input');
+      if (field.type === 'boolean') {
+        input.type = 'checkbox';
+        input.checked = field.default;
+      } else {
+        input.type = 'number';
+        input.min = field.min;
+        input.max = field.max;
+        input.step = field.step;
+        input.value = field.default;
+        input.style.width = '90px';
+      }
+      row.appendChild(input);
+      this.settingsFields.appendChild(row);
+      this.settingInputs[key] = input;
+    }
+  }
+
+  /** 只有超平坦预设显示地层设置 */
+  updateLayersRow() {
+    this.layersRow.style.display = this.presetSelect.value === 'superflat' ? 'block' : 'none';
+  }
+
+  /**
+   * 读取界面上的选择，生成可保存的预设描述
+   * @returns {{type: string}} 预设描述
+   * @throws {Error} 超平坦地层格式错误时抛出
+   */
+  readPreset() {
+    const type = this.presetSelect.value;
+    if (type === 'superflat') return { type, layers: parseSuperflatLayers(this.layersInput.value) };
+    return { type };
+  }
+
+  /**
+   * 读取界面上的世界设置，超出范围的数值被限制到取值范围内
+   * @returns {Object} 完整的世界设置
+   */
+  readSettings() {
+    const settings = {};
+    for (const key in this.settingInputs) {
+      const input = this.settingInputs[key];
+      settings[key] = input.type === 'checkbox' ? input.checked : input.value;
+    }
+    return normalizeWorldSettings(settings);
+  }
+
+  /**
+   * 读取界面上输入的种子，转换为 32 位整数（留空时随机生成）
+   * @returns {number}
+   */
+  readSeed() {
+    return parseSeed(this.seedInput.value);
+  }
+
+  /**
+   * 显示界面并等待玩家确认
+   * @returns {Promise<{seed: number, preset: {type: string}, settings: Object}>} 玩家选择的世界参数
+   */
+  show() {
+    this.modal.style.display = 'flex';
+    return new Promise((resolve) => {
+      this.createBtn.onclick = () => {
+        let preset;
+        try {
+          preset = this.readPreset();
+        } catch (error) {
+          this.errorText.innerText = `地层格式错误：${error.message}`;
+          return;
+        }
+        this.errorText.innerText = '';
+        this.modal.style.display = 'none';
+        resolve({ seed: this.readSeed(), preset, settings: this.readSettings() });
+      };
+    });
+  }
+}
@@ -10,11 +10,16 @@ const ITEMS = {
   'sand': { col: '#E6C288' }, 'planks': { col: '#C19A6B' }, 'oak_planks': { col: '#C19A6B' }, 'white_planks': { col: '#F0F0F0' }, 'cactus': { col: '#2E8B57' },
   'diamond': { col: '#00FFFF' }, 'gold': { col: '#FFD700' }, 'apple': { col: '#FF0000' },
   'flower': { col: '#FF4444' }, 'short_grass': { col: '#559944' }, 'car': { col: '#333333' },
-  'cloud': { col: '#FFFFFF' }, 'sky_stone': { col: '#DDDDDD' }, 'sky_wood': { col: '#DDA0DD' },
+  'cloud': { col: '#FFFFFF' }, 'cloud_block': { col: '#EEF4FF' }, 'sky_stone': { col: '#DDDDDD' }, 'sky_wood': { col: '#DDA0DD' },
   'gold_apple': { col: '#FFD700' }, 'god_sword': { col: '#9400D3' },
   'moss': { col: '#4B6E31' }, 'azalea_log': { col: '#635338' },
-  'cobblestone': { col: '#8B8B8B' },
+  'cobblestone': { col: '#8B8B8B' }, 'lava': { col: '#D9420B' },
   'obsidian': { col: '#2E2E2E' },
+  'deepslate': { col: '#4A4A50' },
+  'snow': { col: '#F4F8FC' }, 'ice': { col: '#9FD3F0' },
+  'gravel': { col: '#8A8580' }, 'clay': { col: '#A4A8B8' },
+  'wheat': { col: '#D8B84A' },
+  'coral_block': { col: '#E0607E' }, 'coral_block_yellow': { col: '#E8C64A' }, 'coral_block_blue': { col: '#3F6FD8' },
   'marble': { col: '#F2F0E6' },
   'glass_blink': { col: '#E0F7FA' },
   'mossy_stone': { col: '#6B8E23' },
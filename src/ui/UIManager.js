@@ -1,6 +1,8 @@
 // src/ui/UIManager.js
 import { HUD } from './HUD.js';
 import { InventoryUI } from './Inventory.js';
+import { WORLD_CONFIG } from '../utils/MathUtils.js';
+import { resolvePreset } from '../constants/WorldPresets.js';
 
 /**
  * UI管理器 - 负责协调所有UI组件的初始化和更新
@@ -29,6 +31,8 @@ export class UIManager {
     const btnMid = document.getElementById('btn-mid');
     const btnQuality = document.getElementById('btn-quality');
     const btnSave = document.getElementById('btn-save-game');
+    const btnCopySeed = document.getElementById('btn-copy-seed');
+    const renderDistanceInput = document.getElementById('render-distance');
 
     if (!settingsBtn || !settingsModal || !settingsClose) return;
 
@@ -37,6 +41,8 @@ export class UIManager {
       e.stopPropagation(); // 阻止冒泡，防止触发 body 的 requestPointerLock
       settingsModal.style.display = 'flex';
       this.updateActiveButtons(); // 确保打开时显示正确状态
+      this.updateRenderDistance();
+      this.updateWorldInfo();
       if (document.pointerLockElement) {
         document.exitPointerLock();
       }
@@ -69,6 +75,34 @@ export class UIManager {
       this.updateActiveButtons();
     };
 
+    // 渲染距离：拖动时只更新数值，松开后再应用，避免反复重建远景区块
+    if (renderDistanceInput) {
+      renderDistanceInput.oninput = () => {
+        document.getElementById('render-distance-value').innerText = renderDistanceInput.value;
+      };
+      renderDistanceInput.onchange = (e) => {
+        e.stopPropagation();
+        this.game.setRenderDistance(Number(renderDistanceInput.value));
+        this.hud.showMessage(`渲染距离: ${this.game.world.renderDistance} 区块`);
+        this.updateRenderDistance();
+      };
+    }
+
+    // 复制种子：剪贴板不可用时（如非安全上下文）选中文本，由玩家手动复制
+    if (btnCopySeed) {
+      btnCopySeed.onclick = async (e) => {
+        e.stopPropagation();
+        const seedInput = document.getElementById('world-info-seed');
+        try {
+          await navigator.clipboard.writeText(String(WORLD_CONFIG.SEED));
+          this.hud.showMessage('种子已复制到剪贴板');
+        } catch (error) {
+          seedInput.select();
+          this.hud.showMessage('无法访问剪贴板，请手动复制种子');
+        }
+      };
+    }
+
     // 手动存档按钮处理
     if (btnSave) {
       btnSave.onclick = async (e) => {
@@ -114,6 +148,28 @@ export class UIManager {
     btnQuality.classList.toggle('active', scale === 1.0);
   }
 
+  /**
+   * 同步渲染距离滑块与数值
+   */
+  updateRenderDistance() {
+    const input = document.getElementById('render-distance');
+    const valueEl = document.getElementById('render-distance-value');
+    if (!input || !valueEl) return;
+
+    input.value = this.game.world.renderDistance;
+    valueEl.innerText = this.game.world.renderDistance;
+  }
+
+  /**
+   * 更新世界信息面板：当前种子与世界类型
+   */
+  updateWorldInfo() {
+    const seedInput = document.getElementById('world-info-seed');
+    const presetText = document.getElementById('world-info-preset');
+    if (seedInput) seedInput.value = String(WORLD_CONFIG.SEED);
+    if (presetText) presetText.innerText = resolvePreset(WORLD_CONFIG.PRESET).name;
+  }
+
   /**
    * 更新所有UI组件
    * @param {number} dt - 时间增量（秒）
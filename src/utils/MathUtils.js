@@ -1,27 +1,355 @@
 // src/utils/MathUtils.js
+import { DEFAULT_WORLD_SETTINGS } from '../constants/WorldSettings.js';
+
 export const WORLD_CONFIG = {
-  SEED: Math.random() * 9999
+  SEED: randomSeed(),                 // 32 位整数种子，见 setSeed
+  PRESET: { type: 'default' }, // 世界预设描述，见 constants/WorldPresets.js
+  SETTINGS: { ...DEFAULT_WORLD_SETTINGS } // 世界生成设置，见 constants/WorldSettings.js
 };
 
+/**
+ * 设置世界种子，接受文本或数字，统一转换为 32 位整数后保存
+ * @param {string|number} s - 种子，规则见 normalizeSeed
+ */
 export function setSeed(s) {
-  console.log(`[Seed] Setting global seed to: ${s}`);
-  WORLD_CONFIG.SEED = s;
+  const seed = normalizeSeed(s);
+  if (seed === WORLD_CONFIG.SEED) return;
+  console.log(`[Seed] Setting global seed to: ${seed}`);
+  WORLD_CONFIG.SEED = seed;
+}
+
+/**
+ * 生成随机的 32 位整数种子
+ * @returns {number} 32 位有符号整数
+ */
+export function randomSeed() {
+  return (Math.random() * 4294967296) | 0;
+}
+
+/**
+ * 文本种子哈希（与 Java String.hashCode 相同），逐个 UTF-16 码元计算，
+ * 只使用整数运算，因此主线程、Worker 与 Node 中结果一致
+ * @param {string} text - 种子文本
+ * @returns {number} 32 位有符号整数
+ */
+export function hashSeedText(text) {
+  let h = 0;
+  for (let i = 0; i < text.length; i++) h = (Math.imul(31, h) + text.charCodeAt(i)) | 0;
+  return h;
+}
+
+/**
+ * 将创建世界时输入的种子文本转换为整数种子：
+ * 留空时随机生成；32 位整数范围内的数字直接使用；其他文本（含超出范围的数字）取哈希
+ * @param {string} text - 种子文本
+ * @returns {number} 32 位有符号整数
+ */
+export function parseSeed(text) {
+  const trimmed = String(text).trim();
+  if (!trimmed) return randomSeed();
+  if (/^[+-]?\d+$/.test(trimmed)) {
+    const n = Number(trimmed);
+    if (n >= -2147483648 && n <= 2147483647) return n;
+  }
+  return hashSeedText(trimmed);
+}
+
+/**
+ * 规范化种子：文本按 parseSeed 解析，整数直接使用；
+ * 非整数为旧版本存档中的小数种子（Math.random() * 9999），换算为固定的整数种子，同一存档每次加载得到相同的种子
+ * @param {string|number} s - 种子
+ * @returns {number} 32 位有符号整数
+ */
+export function normalizeSeed(s) {
+  if (typeof s === 'string') return parseSeed(s);
+  if (!Number.isInteger(s)) return Math.floor(s * 1000) | 0;
+  return s | 0;
+}
+
+export function setPreset(preset) {
+  if (JSON.stringify(preset) === JSON.stringify(WORLD_CONFIG.PRESET)) return;
+  console.log(`[Preset] Setting world preset to: ${preset.type}`);
+  WORLD_CONFIG.PRESET = preset;
+}
+
+/**
+ * 设置世界生成设置（调用方负责先用 normalizeWorldSettings 规范化）
+ * @param {Object} settings - 完整的世界设置
+ */
+export function setWorldSettings(settings) {
+  if (JSON.stringify(settings) === JSON.stringify(WORLD_CONFIG.SETTINGS)) return;
+  console.log('[Settings] Setting world settings to:', settings);
+  WORLD_CONFIG.SETTINGS = settings;
+}
+
+/**
+ * 获取当前世界生成设置
+ * @returns {Object} 见 constants/WorldSettings.js
+ */
+export function getWorldSettings() {
+  return WORLD_CONFIG.SETTINGS;
 }
 
-export function noise(x, z, scale = 0.05) {
-  const nx = x + WORLD_CONFIG.SEED, nz = z + WORLD_CONFIG.SEED;
-  return Math.sin(nx * scale) * 2 + Math.cos(nz * scale) * 2;
+/**
+ * 获取世界生成参数的标识：种子、预设与设置任一变化时，按区块 / 区域缓存的生成结果都需要失效
+ * @returns {string}
+ */
+export function getGenerationKey() {
+  return `${getSeedInt()}:${JSON.stringify(WORLD_CONFIG.PRESET)}:${JSON.stringify(WORLD_CONFIG.SETTINGS)}`;
+}
+
+/**
+ * 噪声通道盐值
+ * 不同用途（高度、温度、湿度、云）使用独立的噪声通道，避免彼此相关
+ */
+export const NOISE_SALT = {
+  HEIGHT: 0,
+  CONTINENT: 1,
+  TEMPERATURE: 2,
+  HUMIDITY: 3,
+  CLOUD: 4, // 已废弃：云改由 CloudLayer 渲染，保留编号使其余通道不变
+  CAVE_CHEESE: 5,
+  CAVE_SPAGHETTI_A: 6,
+  CAVE_SPAGHETTI_B: 7,
+  CAVE_ENTRANCE: 8,
+  MOUNTAIN: 9,
+  MOUNTAIN_RIDGE: 10,
+  FROST: 11,
+  SEAFLOOR: 12,
+  RIVER: 13
+};
+
+/**
+ * 获取当前世界种子的 32 位整数值，供整数哈希使用
+ * 注意：水面着色器 (Engine.js) 通过 uSeed uniform 使用同一个值
+ * @returns {number} 32 位有符号整数
+ */
+export function getSeedInt() {
+  return WORLD_CONFIG.SEED | 0;
+}
+
+/**
+ * 32 位整数哈希 (murmur3 finalizer 变体)
+ * 只使用 imul / xor / 无符号右移，保证与 GLSL 中的 uint 运算结果逐位一致
+ * @returns {number} 无符号 32 位整数
+ */
+export function hash3i(x, y, z, seed) {
+  let h = Math.imul(x | 0, 0x27d4eb2d) ^ Math.imul(y | 0, 0x165667b1) ^ Math.imul(z | 0, 0x1b873593) ^ seed;
+  h = Math.imul(h ^ (h >>> 15), 0x85ebca6b);
+  h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+  return (h ^ (h >>> 16)) >>> 0;
+}
+
+/**
+ * 创建带种子的伪随机数生成器 (mulberry32)
+ * 相同的种子总是产生相同的序列，用于替代世界生成中的 Math.random()
+ * @param {number} seed - 32 位整数种子
+ * @returns {function(): number} 返回 [0, 1) 随机数的函数
+ */
+export function createSeededRandom(seed) {
+  let a = seed | 0;
+  return () => {
+    a = (a + 0x6d2b79f5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * 获取指定区块的随机数生成器，种子由 (世界种子, cx, cz) 决定
+ * @param {number} cx - 区块X坐标
+ * @param {number} cz - 区块Z坐标
+ * @param {number} [salt=0] - 用途区分（同一区块的不同生成阶段可使用独立序列）
+ * @returns {function(): number} 返回 [0, 1) 随机数的函数
+ */
+export function createChunkRandom(cx, cz, salt = 0) {
+  return createSeededRandom(hash3i(cx, salt, cz, getSeedInt()));
+}
+
+/** 五次平滑插值曲线 6t^5 - 15t^4 + 10t^3 */
+function fade(t) {
+  return t * t * t * (t * (t * 6 - 15) + 10);
+}
+
+/** 二维梯度表 (8 个方向) */
+const GRAD2 = [
+  [1, 1], [-1, 1], [1, -1], [-1, -1],
+  [1, 0], [-1, 0], [0, 1], [0, -1]
+];
+
+/** 三维梯度表 (立方体的 12 条棱方向) */
+const GRAD3 = [
+  [1, 1, 0], [-1, 1, 0], [1, -1, 0], [-1, -1, 0],
+  [1, 0, 1], [-1, 0, 1], [1, 0, -1], [-1, 0, -1],
+  [0, 1, 1], [0, -1, 1], [0, 1, -1], [0, -1, -1]
+];
+
+/** 由种子和通道盐值得到该通道的哈希种子 */
+function channelSeed(salt) {
+  return (getSeedInt() + Math.imul(salt, 0x9e3779b9)) | 0;
+}
+
+function grad2(ix, iz, seed, dx, dz) {
+  const g = GRAD2[hash3i(ix, 0, iz, seed) & 7];
+  return g[0] * dx + g[1] * dz;
+}
+
+function grad3(ix, iy, iz, seed, dx, dy, dz) {
+  const g = GRAD3[hash3i(ix, iy, iz, seed) % 12];
+  return g[0] * dx + g[1] * dy + g[2] * dz;
+}
+
+/**
+ * 带种子的二维梯度噪声 (Perlin)
+ * @param {number} x - 已乘以频率的 X 坐标
+ * @param {number} z - 已乘以频率的 Z 坐标
+ * @param {number} [salt=0] - 噪声通道
+ * @returns {number} 约 [-1, 1] 的连续噪声值
+ */
+export function gradientNoise2D(x, z, salt = 0) {
+  const seed = channelSeed(salt);
+  const x0 = Math.floor(x), z0 = Math.floor(z);
+  const fx = x - x0, fz = z - z0;
+  const u = fade(fx), v = fade(fz);
+
+  const n00 = grad2(x0, z0, seed, fx, fz);
+  const n10 = grad2(x0 + 1, z0, seed, fx - 1, fz);
+  const n01 = grad2(x0, z0 + 1, seed, fx, fz - 1);
+  const n11 = grad2(x0 + 1, z0 + 1, seed, fx - 1, fz - 1);
+
+  // 二维 Perlin 的理论最大值约为 0.707，这里放大到 [-1, 1]
+  return lerp(lerp(n00, n10, u), lerp(n01, n11, u), v) * 1.4142;
+}
+
+/**
+ * 带种子的三维梯度噪声 (Perlin)
+ * @param {number} x - 已乘以频率的 X 坐标
+ * @param {number} y - 已乘以频率的 Y 坐标
+ * @param {number} z - 已乘以频率的 Z 坐标
+ * @param {number} [salt=0] - 噪声通道
+ * @returns {number} 约 [-1, 1] 的连续噪声值
+ */
+export function gradientNoise3D(x, y, z, salt = 0) {
+  const seed = channelSeed(salt);
+  const x0 = Math.floor(x), y0 = Math.floor(y), z0 = Math.floor(z);
+  const fx = x - x0, fy = y - y0, fz = z - z0;
+  const u = fade(fx), v = fade(fy), w = fade(fz);
+
+  const n000 = grad3(x0, y0, z0, seed, fx, fy, fz);
+  const n100 = grad3(x0 + 1, y0, z0, seed, fx - 1, fy, fz);
+  const n010 = grad3(x0, y0 + 1, z0, seed, fx, fy - 1, fz);
+  const n110 = grad3(x0 + 1, y0 + 1, z0, seed, fx - 1, fy - 1, fz);
+  const n001 = grad3(x0, y0, z0 + 1, seed, fx, fy, fz - 1);
+  const n101 = grad3(x0 + 1, y0, z0 + 1, seed, fx - 1, fy, fz - 1);
+  const n011 = grad3(x0, y0 + 1, z0 + 1, seed, fx, fy - 1, fz - 1);
+  const n111 = grad3(x0 + 1, y0 + 1, z0 + 1, seed, fx - 1, fy - 1, fz - 1);
+
+  const nx00 = lerp(n000, n100, u), nx10 = lerp(n010, n110, u);
+  const nx01 = lerp(n001, n101, u), nx11 = lerp(n011, n111, u);
+  return lerp(lerp(nx00, nx10, v), lerp(nx01, nx11, v), w);
+}
+
+/**
+ * 二维分形布朗运动 (fBm)：多个倍频程的梯度噪声叠加
+ * @param {number} x - 世界坐标 X
+ * @param {number} z - 世界坐标 Z
+ * @param {Object} [options]
+ * @param {number} [options.scale=0.05] - 基础频率
+ * @param {number} [options.octaves=4] - 倍频程数量
+ * @param {number} [options.lacunarity=2] - 每层频率倍增系数
+ * @param {number} [options.persistence=0.5] - 每层振幅衰减系数
+ * @param {number} [options.salt=0] - 噪声通道
+ * @returns {number} 归一化到约 [-1, 1] 的噪声值
+ */
+export function fbm2D(x, z, { scale = 0.05, octaves = 4, lacunarity = 2, persistence = 0.5, salt = 0 } = {}) {
+  let sum = 0, amp = 1, freq = scale, norm = 0;
+  for (let i = 0; i < octaves; i++) {
+    // 每个倍频程使用独立通道，避免原点附近各层特征对齐
+    sum += gradientNoise2D(x * freq, z * freq, salt * 16 + i) * amp;
+    norm += amp;
+    amp *= persistence;
+    freq *= lacunarity;
+  }
+  return sum / norm;
+}
+
+/**
+ * 三维分形布朗运动 (fBm)
+ * @param {number} x - 世界坐标 X
+ * @param {number} y - 世界坐标 Y
+ * @param {number} z - 世界坐标 Z
+ * @param {Object} [options] - 同 fbm2D
+ * @returns {number} 归一化到约 [-1, 1] 的噪声值
+ */
+export function fbm3D(x, y, z, { scale = 0.05, octaves = 3, lacunarity = 2, persistence = 0.5, salt = 0 } = {}) {
+  let sum = 0, amp = 1, freq = scale, norm = 0;
+  for (let i = 0; i < octaves; i++) {
+    sum += gradientNoise3D(x * freq, y * freq, z * freq, salt * 16 + i) * amp;
+    norm += amp;
+    amp *= persistence;
+    freq *= lacunarity;
+  }
+  return sum / norm;
+}
+
+/**
+ * 单层带种子梯度噪声（保留旧的调用签名）
+ * @param {number} x - 世界坐标 X
+ * @param {number} z - 世界坐标 Z
+ * @param {number} [scale=0.05] - 频率
+ * @param {number} [salt=0] - 噪声通道
+ * @returns {number} 约 [-1, 1] 的噪声值
+ */
+export function noise(x, z, scale = 0.05, salt = 0) {
+  return gradientNoise2D(x * scale, z * scale, salt * 16);
+}
+
+/**
+ * 山地噪声：极低频，数值越高地势越高，决定丘陵 / 山地群系及其抬升幅度
+ * @returns {number} 约 [-1, 1]
+ */
+export function getMountainNoise(x, z) {
+  return fbm2D(x, z, { scale: 0.005, octaves: 3, salt: NOISE_SALT.MOUNTAIN });
+}
+
+/**
+ * 大陆噪声：极低频，数值越低越深入海洋，决定海洋 / 深海群系及陆地的基础高度
+ * @returns {number} 约 [-1, 1]
+ */
+export function getContinentNoise(x, z) {
+  return fbm2D(x, z, { scale: 0.004, octaves: 3, salt: NOISE_SALT.CONTINENT });
+}
+
+/**
+ * 寒冷度噪声：数值越高越寒冷，决定雪原类群系和雪线高度
+ * @returns {number} 约 [-1, 1]
+ */
+export function getFrostNoise(x, z) {
+  return fbm2D(x - 1000, z - 1000, { scale: 0.006, octaves: 2, salt: NOISE_SALT.FROST });
 }
 
 // [增强] 群系逻辑
 export function getBiome(x, z) {
-  const temp = noise(x, z, 0.01); // 温度
-  const humidity = noise(x + 1000, z + 1000, 0.015); // 湿度
+  const continent = getContinentNoise(x, z); // 海洋优先：大片连通的水域
+  if (continent < -0.4) return 'DEEP_OCEAN'; // 深海
+  if (continent < -0.2) return 'OCEAN'; // 海洋
+
+  const mountain = getMountainNoise(x, z); // 山地
+  if (mountain > 0.32) return 'MOUNTAINS';
+  if (mountain > 0.2) return 'HILLS'; // 丘陵
+
+  // 群系尺寸倍率越大，温度 / 湿度噪声频率越低，群系越宽阔
+  const biomeScale = WORLD_CONFIG.SETTINGS.biomeScale;
+  const temp = fbm2D(x, z, { scale: 0.01 / biomeScale, octaves: 3, salt: NOISE_SALT.TEMPERATURE }); // 温度
+  const humidity = fbm2D(x + 1000, z + 1000, { scale: 0.015 / biomeScale, octaves: 3, salt: NOISE_SALT.HUMIDITY }); // 湿度
+  const cold = getFrostNoise(x, z) > 0.3; // 寒冷地区：林地变为针叶雪林，其余变为冻原
 
-  if (temp > 1.2) return 'FOREST';
-  if (temp > 0.6 && temp <= 1.2 && humidity > 0) return 'AZALEA'; // 杜鹃林
-  if (temp < -1.5) return 'DESERT';
-  if (temp > -1.5 && temp < -0.8 && humidity > 0.5) return 'SWAMP'; // 沼泽
+  if (temp > 0.2) return cold ? 'SNOWY_TAIGA' : 'FOREST';
+  if (temp > 0.08 && temp <= 0.2 && humidity > 0) return cold ? 'SNOWY_TAIGA' : 'AZALEA'; // 杜鹃林
+  if (cold) return 'TUNDRA'; // 冻原
+  if (temp < -0.25) return 'DESERT';
+  if (temp > -0.25 && temp < -0.1 && humidity > 0.1) return 'SWAMP'; // 沼泽
   return 'PLAINS';
 }
 
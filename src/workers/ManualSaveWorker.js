@@ -56,7 +56,10 @@ function saveSnapshot(payload) {
       timestamp: Date.now(),
       player: payload.player,
       worldDeltas: payload.worldDeltas,
-      seed: payload.seed
+      seed: payload.seed,
+      preset: payload.preset,
+      settings: payload.settings,
+      renderDistance: payload.renderDistance
     });
 
     request.onsuccess = () => resolve();
@@ -1,7 +1,8 @@
 // src/world/Chunk.js
 /**
  * 区块管理器 - 负责区块的生成、渲染和管理
- * 使用 InstancedMesh 优化渲染性能，管理区块内的所有方块和实体
+ * 不透明的立方体方块由 Worker 贪心合并为按网格段划分的网格，其余方块使用 InstancedMesh，
+ * 管理区块内的所有方块和实体
  */
 import * as THREE from 'three';
 import { materials } from '../core/materials/MaterialManager.js';
@@ -12,6 +13,9 @@ import { WORLD_CONFIG } from '../utils/MathUtils.js';
 import { faceCullingSystem } from '../core/FaceCullingSystem.js';
 import { carModel, gunManModel } from '../core/Engine.js';
 import { getBlockProperties } from '../constants/BlockData.js';
+import { TERRAIN_CONFIG } from '../constants/TerrainConfig.js';
+import { isGreedyType, affectsGreedyMesh, meshSection, MESH_SECTION_HEIGHT } from './GreedyMesher.js';
+import { postWorldJob, cancelWorldJob } from './WorldWorkerClient.js';
 
 /** 区块尺寸 - 每个区块在 X 和 Z 方向上的方块数量 (16x16 是 Voxel 游戏的标准区块大小) */
 const CHUNK_SIZE = 16;
@@ -21,24 +25,6 @@ const DIRTY_THRESHOLD = 50;
 /** 后台合并延迟 (ms) - 玩家最后一次操作后的等待时间 */
 const CONSOLIDATION_DELAY = 1000;
 
-// --- Worker 设置 ---
-// 使用 Web Worker 处理计算密集型的地形生成，避免阻塞主线程（UI/渲染线程）
-const worldWorker = new Worker(new URL('./WorldWorker.js', import.meta.url), { type: 'module' });
-const workerCallbacks = new Map(); // 用于跟踪异步生成请求的回调函数
-
-    worldWorker.onmessage = (e) => {
-  const { cx, cz, d, solidBlocks, realisticTrees, modGunMan, rovers, allBlockTypes, visibleKeys, snapshot } = e.data;
-  const key = `${cx},${cz}`;
-  if (workerCallbacks.has(key)) {
-    workerCallbacks.get(key)({ d, solidBlocks, realisticTrees, modGunMan, rovers, allBlockTypes, visibleKeys, snapshot });
-    workerCallbacks.delete(key);
-  }
-};
-
-worldWorker.onerror = (e) => {
-  console.error('WorldWorker Error:', e);
-};
-
 // 共享几何体定义 - 用于优化渲染性能，避免在每个区块中重复创建相同的几何体，减少 GPU 内存占用
 
 /**
@@ -185,6 +171,8 @@ export class Chunk {
     this.blockData = {};             // 全量方块类型数据
     this.visibleKeys = new Set();    // 当前已渲染方块的 Key 集合
     this.isReady = false;            // 区块是否已完成生成
+    this.isDisposed = false;         // 区块是否已卸载（卸载后丢弃尚未返回的 Worker 结果）
+    this.minY = TERRAIN_CONFIG.BEDROCK_Y; // 已生成地层的最低 Y，更低处尚未生成（视为实心）
     this.instanceIndexMap = new Map(); // Key: "type" -> Map("x,y,z" -> index)
     this.saveTimeout = null;         // 用于防抖保存
 
@@ -192,7 +180,8 @@ export class Chunk {
     this.entities = {
       realisticTrees: [],
       modGunMan: [],
-      rovers: []
+      rovers: [],
+      lootChests: []                 // 结构宝箱：{x, y, z, loot}，打开时按战利品表掉落
     };
 
     // --- 后台合并相关属性 ---
@@ -201,6 +190,12 @@ export class Chunk {
     this.isConsolidating = false;    // 是否正在合并中
     this.dynamicMeshes = new Map();  // 存储动态生成的单体 Mesh: Key "x,y,z" -> Mesh
 
+    // --- 合并网格相关属性 ---
+    this.mergedMeshes = new Map();   // 网格段 sy -> 该段的合并网格数组
+    this.pendingRemesh = new Set();  // 等待重建的网格段
+    this.remeshQueued = false;       // 是否已安排在微任务中重建
+    this.remeshedSections = new Set(); // 本次合并开始后在主线程重建过的网格段
+
     this.gen();                      // 生成区块内容
   }
 
@@ -228,17 +223,28 @@ export class Chunk {
     }
   }
 
+  /**
+   * 向下扩展一段地层
+   * 初次生成只覆盖地表以下若干层，玩家接近已生成底部时由 World 调用，避免每个区块都存储到基岩的全部方块
+   */
+  extendDown() {
+    if (this.minY <= TERRAIN_CONFIG.BEDROCK_Y) return;
+    this.consolidate(Math.max(TERRAIN_CONFIG.BEDROCK_Y, this.minY - TERRAIN_CONFIG.SECTION_HEIGHT));
+  }
+
   /**
    * 执行区块合并优化
    * 将当前区块的最完整数据发送给 Worker 进行全量计算
+   * @param {number|null} extendTo - 同时向下生成地层直到该 Y（null 表示只合并）
    */
-  async consolidate() {
+  async consolidate(extendTo = null) {
     if (this.isConsolidating || !this.isReady) return;
     this.isConsolidating = true;
 
     // 记录开始合并时的脏方块数量和动态 Mesh 键
     const consolidatedCount = this.dirtyBlocks;
     const consolidatedMeshKeys = new Set(this.dynamicMeshes.keys());
+    this.remeshedSections.clear();
 
     // 清除定时器（以防是通过阈值触发的）
     if (this.consolidationTimer) {
@@ -247,9 +253,29 @@ export class Chunk {
     }
 
     const callbackKey = `${this.cx},${this.cz}`;
-    // 注册 Worker 回调处理合并结果
-    workerCallbacks.set(callbackKey, (data) => {
-      let { d, visibleKeys, solidBlocks } = data;
+    // Worker 回调处理合并结果
+    const onResult = (data) => {
+      // 合并失败：动态方块保持原样，等待 CONSOLIDATION_DELAY 后才允许再次合并，避免每帧重复提交失败的任务
+      if (data.error) {
+        console.error(`[Chunk] 区块 ${this.cx},${this.cz} 合并失败:`, data.error);
+        setTimeout(() => { this.isConsolidating = false; }, CONSOLIDATION_DELAY);
+        return;
+      }
+      let { d, meshes, visibleKeys, solidBlocks, allBlockTypes, lootChests, snapshot } = data;
+
+      // 向下扩展：先把新生成的地层并入 blockData 与持久化快照，否则会被下面的二次过滤剔除
+      if (extendTo !== null && snapshot && snapshot.minY < this.minY) {
+        const newBlocks = {};
+        for (const key in allBlockTypes) {
+          if (Number(key.split(',')[1]) < this.minY) newBlocks[key] = allBlockTypes[key];
+        }
+        Object.assign(this.blockData, newBlocks);
+        // 新地层中可能包含地牢宝箱
+        if (lootChests) this.entities.lootChests = lootChests;
+        persistenceService.extendChunkData(this.cx, this.cz, newBlocks, snapshot.minY, this.entities.lootChests);
+        this.minY = snapshot.minY;
+        this.saveDebounced();
+      }
 
       // --- 核心修复：根据主线程最新的 blockData 进行二次过滤，防止竞态导致的“幻影方块” ---
       if (visibleKeys) {
@@ -327,9 +353,12 @@ export class Chunk {
           this.group.remove(child);
         }
       }
+      this.clearMergedMeshes();
 
       // 3. 构建新的渲染网格 (跳过实体，因为实体已存在)
-      this.buildMeshes(d);
+      this.buildMeshes(d, meshes);
+      // 合并期间编辑过的网格段以 Worker 收到的快照为准已经过时，按最新的 blockData 重建
+      for (const sy of [...this.remeshedSections]) this.remeshSection(sy);
 
       // --- 关键：还原宝箱状态 ---
       if (savedChestStates.size > 0) {
@@ -359,19 +388,23 @@ export class Chunk {
       this.isConsolidating = false;
 
       if (this.dirtyBlocks > 0) this.scheduleConsolidation();
-    });
+    };
 
     // 发送当前最完整的 blockData 作为 snapshot 给 Worker
-    worldWorker.postMessage({
+    postWorldJob(callbackKey, {
       cx: this.cx,
       cz: this.cz,
       seed: WORLD_CONFIG.SEED,
+      preset: WORLD_CONFIG.PRESET,
+      settings: WORLD_CONFIG.SETTINGS,
       snapshot: {
         blocks: { ...this.blockData },
-        entities: { ...this.entities }
+        entities: { ...this.entities },
+        minY: this.minY
       },
+      extendTo,
       isOptimization: true // 标记这是一个优化请求
-    });
+    }, onResult);
   }
 
   /**
@@ -381,13 +414,14 @@ export class Chunk {
   async gen() {
     // 0. 加载持久化全量数据 (快照)
     const snapshot = await persistenceService.getChunkData(this.cx, this.cz);
+    if (this.isDisposed) return;
 
     return new Promise((resolve) => {
       const callbackKey = `${this.cx},${this.cz}`;
 
-      // 注册 Worker 回调
-      workerCallbacks.set(callbackKey, (data) => {
-        const { d, solidBlocks, realisticTrees, modGunMan, rovers, allBlockTypes, visibleKeys, snapshot: newSnapshot } = data;
+      // Worker 回调
+      const onResult = (data) => {
+        const { d, meshes, solidBlocks, realisticTrees, modGunMan, rovers, lootChests, allBlockTypes, visibleKeys, snapshot: newSnapshot } = data;
 
         // 1. 同步全量方块数据和可见性状态 (完全替换，确保剔除状态同步)
         if (allBlockTypes) this.blockData = allBlockTypes;
@@ -398,13 +432,17 @@ export class Chunk {
           this.solidBlocks = new Set(solidBlocks);
         }
 
+        // 1.1 记录已生成地层的底部（旧存档没有该字段，视为已生成到基岩）
+        if (newSnapshot && newSnapshot.minY !== undefined) this.minY = newSnapshot.minY;
+
         // 1.2 保存实体快照，用于后续合并
         this.entities.realisticTrees = realisticTrees || [];
         this.entities.modGunMan = modGunMan || [];
         this.entities.rovers = rovers || [];
+        this.entities.lootChests = lootChests || [];
 
-        // 2. 构建渲染网格 (InstancedMesh)
-        this.buildMeshes(d);
+        // 2. 构建渲染网格 (InstancedMesh 与合并网格)
+        this.buildMeshes(d, meshes);
 
         // 3. 处理真实感树木 (在主线程生成，因为涉及复杂 Mesh 克隆)
         realisticTrees.forEach(pos => {
@@ -476,14 +514,19 @@ export class Chunk {
 
         this.isReady = true;
         resolve();
-      });
+      };
 
-      // 4. 发送生成请求到 Worker
-      worldWorker.postMessage({
+      // 4. 发送生成请求到 Worker；结果先进入 World 的构建队列，按每帧预算构建网格
+      postWorldJob(callbackKey, {
         cx: this.cx,
         cz: this.cz,
         seed: WORLD_CONFIG.SEED,
+        preset: WORLD_CONFIG.PRESET,
+        settings: WORLD_CONFIG.SETTINGS,
         snapshot
+      }, (data) => {
+        if (data.error) this.world.onLoadError(this, data.error);
+        else this.world.queueBuild(this, () => onResult(data));
       });
     });
   }
@@ -517,12 +560,15 @@ export class Chunk {
    * 使用 InstancedMesh 优化相同类型方块的渲染性能：
    * 1. 对于每个方块类型，只创建一个 InstancedMesh 实例。
    * 2. 通过一次 Draw Call 渲染该区块内所有的该类方块。
+   * 不透明的立方体方块不在 d 中，由 Worker 生成的合并网格渲染
    * @param {Object} d - 数据收集对象，包含按类型分类的方块位置数组
-   * @param {boolean} skipEntities - 是否跳过实体生成逻辑（用于合并优化）
+   * @param {Array<Object>} [meshes=[]] - Worker 生成的合并网格数据（见 GreedyMesher.meshSection）
    */
-  buildMeshes(d) {
+  buildMeshes(d, meshes = []) {
     // 创建一个虚拟对象用于计算每个实例的变换矩阵 (Matrix4)
     const dummy = new THREE.Object3D();
+    // 结构宝箱的战利品表："x,y,z" -> loot
+    const lootByKey = new Map(this.entities.lootChests.map(c => [`${c.x},${c.y},${c.z}`, c.loot]));
 
     // 遍历每种方块类型，为每种类型创建一个 InstancedMesh
     for (const type in d) {
@@ -569,7 +615,8 @@ export class Chunk {
       this.instanceIndexMap[type].set(posKey, i);
 
       if (type === 'chest') {
-        mesh.userData.chests[i] = { open: false }; // 初始化对应索引箱子的状态
+        // 初始化对应索引箱子的状态，结构宝箱记录其战利品表
+        mesh.userData.chests[i] = { open: false, loot: lootByKey.get(posKey) || null };
       }
     });
 
@@ -585,6 +632,90 @@ export class Chunk {
       // 将实例化网格添加到区块的分S组中
       this.group.add(mesh);
     }
+
+    this.addMergedMeshes(meshes);
+  }
+
+  /**
+   * 为合并网格数据创建 Mesh 并按网格段记录
+   * @param {Array<Object>} meshes - GreedyMesher.meshSection 的输出
+   */
+  addMergedMeshes(meshes) {
+    for (const data of meshes) {
+      const props = getBlockProperties(data.type);
+      const count = data.positions.length / 3;
+      const geometry = new THREE.BufferGeometry();
+      geometry.setAttribute('position', new THREE.BufferAttribute(data.positions, 3));
+      geometry.setAttribute('normal', new THREE.BufferAttribute(data.normals, 3));
+      geometry.setAttribute('uv', new THREE.BufferAttribute(data.uvs, 2));
+      geometry.setIndex(new THREE.BufferAttribute(data.indices, 1));
+      // 每个顶点自带 AO 值：顶点 ID 恒为 0，着色器直接从 aAoLow 的最低两位读出
+      if (data.ao) {
+        const zeros = new Float32Array(count);
+        geometry.setAttribute('aVertexId', new THREE.BufferAttribute(zeros, 1));
+        geometry.setAttribute('aAoLow', new THREE.BufferAttribute(data.ao, 1));
+        geometry.setAttribute('aAoHigh', new THREE.BufferAttribute(zeros, 1));
+      }
+      // 按面分组，多面材质（如草方块）与 BoxGeometry 一样按面索引取材质
+      for (const [start, indexCount, face] of data.groups) geometry.addGroup(start, indexCount, face);
+
+      const mesh = new THREE.Mesh(geometry, materials.getMaterial(data.type));
+      mesh.userData = { type: data.type, isMerged: true, section: data.section };
+      if (props.isShadowEnabled) {
+        mesh.castShadow = true;
+        mesh.receiveShadow = true;
+      }
+      this.group.add(mesh);
+
+      if (!this.mergedMeshes.has(data.section)) this.mergedMeshes.set(data.section, []);
+      this.mergedMeshes.get(data.section).push(mesh);
+    }
+  }
+
+  /**
+   * 移除合并网格（材质共享，只释放几何体）
+   * @param {number} [sy] - 网格段索引，省略时移除全部网格段
+   */
+  clearMergedMeshes(sy) {
+    const sections = sy === undefined ? [...this.mergedMeshes.keys()] : [sy];
+    for (const s of sections) {
+      for (const mesh of this.mergedMeshes.get(s) || []) {
+        mesh.geometry.dispose();
+        this.group.remove(mesh);
+      }
+      this.mergedMeshes.delete(s);
+    }
+  }
+
+  /**
+   * 标记方块所在的网格段需要重建；方块位于段的最高或最低层时，相邻段的面与 AO 也会变化
+   * 同一轮操作中的多次标记（如爆炸、挖开后露出的邻居）在微任务中合并为每段一次重建
+   * @param {number} y - 方块的世界坐标Y
+   */
+  scheduleRemesh(y) {
+    const sy = Math.floor(Math.floor(y) / MESH_SECTION_HEIGHT);
+    const ly = Math.floor(y) - sy * MESH_SECTION_HEIGHT;
+    this.pendingRemesh.add(sy);
+    if (ly === 0) this.pendingRemesh.add(sy - 1);
+    if (ly === MESH_SECTION_HEIGHT - 1) this.pendingRemesh.add(sy + 1);
+    if (this.remeshQueued) return;
+    this.remeshQueued = true;
+    queueMicrotask(() => {
+      this.remeshQueued = false;
+      const sections = [...this.pendingRemesh];
+      this.pendingRemesh.clear();
+      sections.forEach(s => this.remeshSection(s));
+    });
+  }
+
+  /**
+   * 按主线程最新的 blockData 立即重建一个网格段的合并网格
+   * @param {number} sy - 网格段索引
+   */
+  remeshSection(sy) {
+    this.remeshedSections.add(sy);
+    this.clearMergedMeshes(sy);
+    this.addMergedMeshes(meshSection((x, y, z) => this.blockData[`${x},${y},${z}`], this.cx, this.cz, sy));
   }
 
   /**
@@ -592,18 +723,24 @@ export class Chunk {
    * 在区块不再需要时调用
    */
   dispose() {
+    // 丢弃尚未返回的生成 / 合并结果
+    this.isDisposed = true;
+    cancelWorldJob(`${this.cx},${this.cz}`);
+
     // 清除合并定时器
     if (this.consolidationTimer) {
       clearTimeout(this.consolidationTimer);
       this.consolidationTimer = null;
     }
 
+    this.pendingRemesh.clear();
+
     // 遍历组中的所有子对象
     this.group.children.forEach(c => {
       // 清理几何体
       if (c.geometry) c.geometry.dispose();
-      // 只清理非实例网格的材质，因为实例网格共享材质
-      if (!c.isInstancedMesh && c.material) {
+      // 只清理非实例网格的材质，因为实例网格与合并网格共享材质
+      if (!c.isInstancedMesh && !c.userData.isMerged && c.material) {
         if (Array.isArray(c.material)) {
           // 如果是材质数组，清理每个材质
           c.material.forEach(m => m.dispose());
@@ -615,6 +752,7 @@ export class Chunk {
     });
     // 清空组，移除所有子对象
     this.group.clear();
+    this.mergedMeshes.clear();
   }
 
   /**
@@ -690,9 +828,10 @@ export class Chunk {
       }
     }
 
-    // 检查并移除/隐藏该位置已有的方块（处理实例化网格和动态网格）
+    // 检查并移除/隐藏该位置已有的方块（处理实例化网格和动态网格，合并网格在网格段重建时更新）
     for (let i = this.group.children.length - 1; i >= 0; i--) {
       const child = this.group.children[i];
+      if (child.userData.isMerged) continue;
 
       // 处理实例化网格 (静态生成的方块)
       if (child.isInstancedMesh) {
@@ -778,6 +917,9 @@ export class Chunk {
       this.solidBlocks.delete(key);
     }
 
+    // 合并网格中的方块或遮挡它们的方块发生变化时，重建所在的网格段
+    if (affectsGreedyMesh(type) || affectsGreedyMesh(oldType)) this.scheduleRemesh(y);
+
     // 如果方块被移除（变成空气），检查并恢复周围隐藏的方块
     if (type === 'air') {
       this.dirtyBlocks++;
@@ -820,8 +962,8 @@ export class Chunk {
       }
     }
 
-    // 对于空气方块和碰撞体方块，或者因完全遮挡而不可见的方块，不创建网格
-    if (!props.isRendered || !this.visibleKeys.has(key)) {
+    // 对于空气方块和碰撞体方块，或者因完全遮挡而不可见的方块，不创建网格；合并网格中的方块由网格段重建渲染
+    if (!props.isRendered || !this.visibleKeys.has(key) || isGreedyType(type)) {
        // ...
     } else {
       // 获取几何体和材质
@@ -927,6 +1069,7 @@ export class Chunk {
         this.visibleKeys.delete(key);
         this.solidBlocks.delete(key);
         persistenceService.recordChange(px, py, pz, 'air');
+        if (affectsGreedyMesh(oldType)) this.scheduleRemesh(py);
 
         // 收集周围 6 个方向的邻居坐标
         const offsets = [
@@ -941,9 +1084,10 @@ export class Chunk {
       }
     });
 
-    // 2. 移除当前待删除方块的渲染网格
+    // 2. 移除当前待删除方块的渲染网格（合并网格在网格段重建时更新）
     for (let i = this.group.children.length - 1; i >= 0; i--) {
       const child = this.group.children[i];
+      if (child.userData.isMerged) continue;
 
       if (child.isInstancedMesh) {
         const type = child.userData.type;
@@ -0,0 +1,303 @@
+// src/world/GreedyMesher.js
+/**
+ * 贪心网格合并模块
+ *
+ * 把区块内不透明的立方体方块按网格段（MESH_SECTION_HEIGHT 层）合并为少量四边形：
+ * 每个朝向逐层扫描可见面，类型与 AO 都相同的相邻面合并为一个矩形，
+ * 每个网格段、每种方块只产生一个网格，绘制调用与三角形数量都远少于逐方块实例化。
+ * 不依赖 THREE，WorldWorker 生成区块时与主线程编辑方块后重建网格段时使用同一份代码，输出一致
+ */
+import { getBlockProperties } from '../constants/BlockData.js';
+import { TERRAIN_CONFIG } from '../constants/TerrainConfig.js';
+
+const CHUNK_SIZE = 16;
+
+/** 网格段高度：按段合并，编辑方块时只需重建所在的段 */
+export const MESH_SECTION_HEIGHT = TERRAIN_CONFIG.SECTION_HEIGHT;
+
+/** 需要逐个实例保存状态的方块（箱子的开启状态）保持实例化渲染 */
+const INSTANCED_TYPES = new Set(['chest']);
+
+/**
+ * 六个朝向，顺序与 THREE.BoxGeometry 的面（px, nx, py, ny, pz, nz）一致，
+ * 因此多面材质按面索引分组，getFaceAO 返回的 4 个顶点 AO 也与 BoxGeometry 的顶点顺序对应
+ * - axis: 法线所在的轴；u / v: 面内的两个轴
+ * - uFlip / vFlip: 第 0 个顶点位于 u / v 轴的高端
+ */
+const FACES = [
+  { axis: 0, dir: 1, u: 2, uFlip: true, v: 1, vFlip: true },    // px
+  { axis: 0, dir: -1, u: 2, uFlip: false, v: 1, vFlip: true },  // nx
+  { axis: 1, dir: 1, u: 0, uFlip: false, v: 2, vFlip: false },  // py
+  { axis: 1, dir: -1, u: 0, uFlip: false, v: 2, vFlip: true },  // ny
+  { axis: 2, dir: 1, u: 0, uFlip: false, v: 1, vFlip: true },   // pz
+  { axis: 2, dir: -1, u: 0, uFlip: true, v: 1, vFlip: true }    // nz
+];
+
+/** 四个角 AO 全部相同时的打包值（每角 2 位），只有这些面参与合并 */
+const UNIFORM_AO = new Set([0x00, 0x55, 0xaa, 0xff]);
+
+/** 方块类型 -> 合并所需的属性 */
+const typeInfoCache = new Map();
+
+function getTypeInfo(type) {
+  let info = typeInfoCache.get(type);
+  if (!info) {
+    const props = getBlockProperties(type);
+    const opaqueBox = props.isRendered && !props.isTransparent && props.geometryType === 'box';
+    info = {
+      greedy: opaqueBox && !INSTANCED_TYPES.has(type),
+      hidesFace: opaqueBox,                          // 相邻面被它挡住
+      occluding: props.isSolid && !props.isTransparent, // 参与 AO 计算
+      ao: props.isAOEnabled
+    };
+    typeInfoCache.set(type, info);
+  }
+  return info;
+}
+
+/**
+ * 方块是否由贪心合并网格渲染（其余方块仍使用 InstancedMesh）
+ * @param {string} type - 方块类型
+ * @returns {boolean}
+ */
+export function isGreedyType(type) {
+  return !!type && getTypeInfo(type).greedy;
+}
+
+/**
+ * 放置或移除该方块是否会改变合并网格：方块本身被合并，或者遮挡相邻方块的面与 AO
+ * @param {string} type - 方块类型
+ * @returns {boolean}
+ */
+export function affectsGreedyMesh(type) {
+  if (!type || type === 'air') return false;
+  const info = getTypeInfo(type);
+  return info.greedy || info.hidesFace || info.occluding;
+}
+
+/**
+ * 计算指定角落的 AO 值 (0-3)
+ * AO = 3 - (side1 + side2 + corner)
+ * side1, side2, corner 为 1 如果该位置被遮挡，否则为 0
+ */
+function getAOValue(side1, side2, corner) {
+  if (side1 && side2) return 0; // 两个侧面都遮挡，AO 为 0 (最暗)
+  return 3 - (side1 + side2 + corner);
+}
+
+/**
+ * 计算方块一个面的 4 个顶点的 AO 值，顶点顺序与 BoxGeometry 一致
+ * @param {function(number, number, number): boolean} isOccluding - 判断指定位置的方块是否遮挡视线
+ * @param {number} x - 方块X坐标
+ * @param {number} y - 方块Y坐标
+ * @param {number} z - 方块Z坐标
+ * @param {number} faceIdx - 0:px, 1:nx, 2:py, 3:ny, 4:pz, 5:nz
+ * @returns {Uint8Array} 4 个顶点的 AO 值
+ */
+export function getFaceAO(isOccluding, x, y, z, faceIdx) {
+  const aos = new Uint8Array(4).fill(3);
+
+  // 根据面定义相邻方块偏移
+  if (faceIdx === 0) { // px (侧面)
+    aos[0] = getAOValue(isOccluding(x+1, y+1, z), 0, 0);
+    aos[2] = getAOValue(isOccluding(x+1, y+1, z), 0, 0);
+  } else if (faceIdx === 1) { // nx (侧面)
+    aos[0] = getAOValue(isOccluding(x-1, y+1, z), 0, 0);
+    aos[2] = getAOValue(isOccluding(x-1, y+1, z), 0, 0);
+  } else if (faceIdx === 2) { // py (顶面)
+    aos[0] = getAOValue(isOccluding(x-1, y+1, z), isOccluding(x, y+1, z-1), isOccluding(x-1, y+1, z-1));
+    aos[1] = getAOValue(isOccluding(x+1, y+1, z), isOccluding(x, y+1, z-1), isOccluding(x+1, y+1, z-1));
+    aos[2] = getAOValue(isOccluding(x-1, y+1, z), isOccluding(x, y+1, z+1), isOccluding(x-1, y+1, z+1));
+    aos[3] = getAOValue(isOccluding(x+1, y+1, z), isOccluding(x, y+1, z+1), isOccluding(x+1, y+1, z+1));
+  } else if (faceIdx === 3) { // ny (底面)
+    // Keep all at 3
+  } else if (faceIdx === 4) { // pz (侧面)
+    aos[0] = getAOValue(isOccluding(x, y+1, z+1), 0, 0);
+    aos[2] = getAOValue(isOccluding(x, y+1, z+1), 0, 0);
+  } else if (faceIdx === 5) { // nz (侧面)
+    aos[0] = getAOValue(isOccluding(x, y+1, z-1), 0, 0);
+    aos[2] = getAOValue(isOccluding(x, y+1, z-1), 0, 0);
+  }
+  return aos;
+}
+
+/**
+ * 为区块的一个网格段生成合并网格
+ *
+ * 只读取本区块内、本段及上下各一层的方块；区块边界外视为空气，因此区块边缘的面总会生成，
+ * 加载或编辑相邻区块时不需要重建本区块。AO 不同的面不合并，各自作为单格四边形输出
+ *
+ * @param {function(number, number, number): (string|undefined)} getType - 按世界坐标读取方块类型
+ * @param {number} cx - 区块X坐标
+ * @param {number} cz - 区块Z坐标
+ * @param {number} sy - 网格段索引（覆盖 Y 范围 [sy * MESH_SECTION_HEIGHT, (sy + 1) * MESH_SECTION_HEIGHT)）
+ * @returns {Array<{type: string, section: number, positions: Float32Array, normals: Float32Array, uvs: Float32Array,
+ *   indices: Uint32Array, ao: Float32Array|null, groups: Array<number[]>}>}
+ *   每种方块一个网格；uv 以方块为单位（需要重复纹理），ao 为每个顶点的 AO 值 (0-3)，
+ *   groups 为 [起始索引, 索引数量, 面索引]，供多面材质使用
+ */
+export function meshSection(getType, cx, cz, sy) {
+  const H = MESH_SECTION_HEIGHT;
+  const base = [cx * CHUNK_SIZE, sy * H, cz * CHUNK_SIZE];
+  const size = [CHUNK_SIZE, H, CHUNK_SIZE];
+
+  // 读取本段及四周一格的方块到稠密数组：类型按出现顺序编号，0 为空气
+  const PX = CHUNK_SIZE + 2, PY = H + 2, PZ = CHUNK_SIZE + 2;
+  const cells = new Uint16Array(PX * PY * PZ);
+  const types = [null];
+  const infos = [null];
+  const ids = new Map();
+  const cellIndex = (lx, ly, lz) => ((lx + 1) * PY + (ly + 1)) * PZ + (lz + 1);
+  let hasGreedy = false;
+  for (let lx = 0; lx < CHUNK_SIZE; lx++) {
+    for (let lz = 0; lz < CHUNK_SIZE; lz++) {
+      for (let ly = -1; ly <= H; ly++) {
+        const type = getType(base[0] + lx, base[1] + ly, base[2] + lz);
+        if (!type || type === 'air') continue;
+        let id = ids.get(type);
+        if (id === undefined) {
+          id = types.length;
+          ids.set(type, id);
+          types.push(type);
+          infos.push(getTypeInfo(type));
+        }
+        cells[cellIndex(lx, ly, lz)] = id;
+        if (ly >= 0 && ly < H && infos[id].greedy) hasGreedy = true;
+      }
+    }
+  }
+  if (!hasGreedy) return [];
+
+  const isOccluding = (x, y, z) => {
+    const id = cells[cellIndex(x - base[0], y - base[1], z - base[2])];
+    return id !== 0 && infos[id].occluding;
+  };
+
+  // 每种方块、每个朝向收集四边形，最后按朝向顺序拼接为分组
+  const quadsByType = new Map(); // id -> [6][quad]
+  const local = [0, 0, 0];
+  const mask = new Int32Array(CHUNK_SIZE * Math.max(CHUNK_SIZE, H));
+
+  for (let f = 0; f < 6; f++) {
+    const face = FACES[f];
+    const nu = size[face.u], nv = size[face.v];
+    for (let s = 0; s < size[face.axis]; s++) {
+      // 本层可见面的掩码：(类型编号 << 8) | 打包的 AO，0 表示没有面
+      mask.fill(0, 0, nu * nv);
+      let any = false;
+      for (let j = 0; j < nv; j++) {
+        for (let i = 0; i < nu; i++) {
+          local[face.axis] = s; local[face.u] = i; local[face.v] = j;
+          const id = cells[cellIndex(local[0], local[1], local[2])];
+          if (id === 0 || !infos[id].greedy) continue;
+          local[face.axis] = s + face.dir;
+          const nid = cells[cellIndex(local[0], local[1], local[2])];
+          if (nid !== 0 && infos[nid].hidesFace) continue;
+
+          let ao = 0xff;
+          if (infos[id].ao) {
+            local[face.axis] = s;
+            const aos = getFaceAO(isOccluding, base[0] + local[0], base[1] + local[1], base[2] + local[2], f);
+            ao = aos[0] | (aos[1] << 2) | (aos[2] << 4) | (aos[3] << 6);
+          }
+          mask[i + j * nu] = (id << 8) | ao;
+          any = true;
+        }
+      }
+      if (!any) continue;
+
+      // 贪心合并：先沿 u 方向延伸，再整行沿 v 方向延伸
+      for (let j = 0; j < nv; j++) {
+        for (let i = 0; i < nu;) {
+          const key = mask[i + j * nu];
+          if (!key) { i++; continue; }
+          let w = 1, h = 1;
+          if (UNIFORM_AO.has(key & 0xff)) {
+            while (i + w < nu && mask[i + w + j * nu] === key) w++;
+            grow: while (j + h < nv) {
+              for (let k = 0; k < w; k++) {
+                if (mask[i + k + (j + h) * nu] !== key) break grow;
+              }
+              h++;
+            }
+          }
+          for (let dv = 0; dv < h; dv++) mask.fill(0, i + (j + dv) * nu, i + w + (j + dv) * nu);
+
+          const id = key >> 8;
+          if (!quadsByType.has(id)) quadsByType.set(id, [[], [], [], [], [], []]);
+          quadsByType.get(id)[f].push(s, i, j, w, h, key & 0xff);
+          i += w;
+        }
+      }
+    }
+  }
+
+  const meshes = [];
+  for (const [id, quadsByFace] of quadsByType) {
+    meshes.push(buildMesh(types[id], infos[id].ao, quadsByFace, base, sy));
+  }
+  return meshes;
+}
+
+/**
+ * 把一种方块的四边形写入顶点缓冲区
+ * @private
+ */
+function buildMesh(type, hasAO, quadsByFace, base, sy) {
+  let quadCount = 0;
+  for (const quads of quadsByFace) quadCount += quads.length / 6;
+
+  const positions = new Float32Array(quadCount * 12);
+  const normals = new Float32Array(quadCount * 12);
+  const uvs = new Float32Array(quadCount * 8);
+  const indices = new Uint32Array(quadCount * 6);
+  const ao = hasAO ? new Float32Array(quadCount * 4) : null;
+  const groups = [];
+  const corner = [0, 0, 0];
+  let q = 0;
+
+  for (let f = 0; f < 6; f++) {
+    const quads = quadsByFace[f];
+    if (quads.length === 0) continue;
+    const face = FACES[f];
+    // 每个四边形占 6 个索引，与 quads 中每个四边形的 6 个数值数量相同
+    groups.push([q * 6, quads.length, f]);
+
+    for (let n = 0; n < quads.length; n += 6) {
+      const s = quads[n], i = quads[n + 1], j = quads[n + 2], w = quads[n + 3], h = quads[n + 4], packedAO = quads[n + 5];
+      // 面位于方块朝外的一侧
+      corner[face.axis] = base[face.axis] + s + (face.dir > 0 ? 1 : 0);
+      for (let k = 0; k < 4; k++) {
+        const ix = k & 1, iy = k >> 1;
+        corner[face.u] = base[face.u] + i + ((ix === 1) !== face.uFlip ? w : 0);
+        corner[face.v] = base[face.v] + j + ((iy === 1) !== face.vFlip ? h : 0);
+        const vi = q * 4 + k;
+        positions.set(corner, vi * 3);
+        normals[vi * 3 + face.axis] = face.dir;
+        // 与 BoxGeometry 相同的 UV 朝向，按方块数重复
+        uvs[vi * 2] = ix * w;
+        uvs[vi * 2 + 1] = (1 - iy) * h;
+        if (ao) ao[vi] = (packedAO >> (k * 2)) & 3;
+      }
+      // 与 BoxGeometry 相同的三角形绕序
+      const v0 = q * 4;
+      indices.set([v0, v0 + 2, v0 + 1, v0 + 2, v0 + 3, v0 + 1], q * 6);
+      q++;
+    }
+  }
+  return { type, section: sy, positions, normals, uvs, indices, ao, groups };
+}
+
+/**
+ * 收集合并网格的缓冲区，用于 postMessage 的转移列表（避免复制）
+ * @param {Array<Object>} meshes - meshSection 的输出
+ * @returns {ArrayBuffer[]}
+ */
+export function getMeshTransferables(meshes) {
+  const buffers = [];
+  for (const m of meshes) {
+    buffers.push(m.positions.buffer, m.normals.buffer, m.uvs.buffer, m.indices.buffer);
+    if (m.ao) buffers.push(m.ao.buffer);
+  }
+  return buffers;
+}
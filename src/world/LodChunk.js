@@ -0,0 +1,162 @@
+// src/world/LodChunk.js
+/**
+ * 远景 LOD 区块
+ *
+ * 完整区块范围之外的区块只显示地形轮廓：WorldWorker 按采样步长计算高度图与地表方块（只使用 TerrainGen），
+ * 主线程将每个采样构建为一个按顶点着色的柱体顶面及朝向较低邻居的侧面。
+ * LOD 区块没有方块数据和碰撞，不能交互；距离越远采样越稀疏，构成若干 LOD 环
+ */
+import * as THREE from 'three';
+import { WORLD_CONFIG } from '../utils/MathUtils.js';
+import { postWorldJob, cancelWorldJob } from './WorldWorkerClient.js';
+
+const CHUNK_SIZE = 16;
+
+/**
+ * LOD 参数
+ * - RINGS: 按与玩家所在区块的距离（区块，切比雪夫距离）选择采样步长（方块），步长需整除区块尺寸
+ * - SKIRT: 区块边缘的侧面额外向下延伸的格数，遮住相邻区块步长不同时的缝隙
+ */
+export const LOD_CONFIG = {
+  RINGS: [
+    { maxDistance: 8, step: 2 },
+    { maxDistance: Infinity, step: 4 }
+  ],
+  SKIRT: 4
+};
+
+/** 地表方块的远景颜色；未列出的方块使用 DEFAULT_COLOR */
+const LOD_COLORS = {
+  grass: '#6AAA46', swamp_grass: '#5A783C', moss: '#4B6E31', dirt: '#5D4037',
+  sand: '#E6C288', gravel: '#8A8580', clay: '#A4A8B8', snow: '#F4F8FC', ice: '#9FD3F0',
+  stone: '#757575'
+};
+const DEFAULT_COLOR = '#6AAA46';
+
+/** 所有 LOD 区块共用的顶点着色材质 */
+const lodMaterial = new THREE.MeshStandardMaterial({ vertexColors: true, roughness: 1 });
+
+/** 方块类型 -> 线性空间颜色 */
+const colorCache = new Map();
+
+function getLodColor(type) {
+  if (!colorCache.has(type)) colorCache.set(type, new THREE.Color(LOD_COLORS[type] || DEFAULT_COLOR));
+  return colorCache.get(type);
+}
+
+/**
+ * 获取指定距离的 LOD 采样步长
+ * @param {number} distance - 与玩家所在区块的距离（区块）
+ * @returns {number} 采样步长（方块）
+ */
+export function getLodStep(distance) {
+  return LOD_CONFIG.RINGS.find(ring => distance <= ring.maxDistance).step;
+}
+
+/**
+ * 远景 LOD 区块类
+ */
+export class LodChunk {
+  /**
+   * 创建 LOD 区块；高度图由 World 的加载队列按优先级调用 load 请求
+   * @param {number} cx - 区块X坐标
+   * @param {number} cz - 区块Z坐标
+   * @param {number} step - 采样步长（方块），见 getLodStep
+   */
+  constructor(cx, cz, step) {
+    this.cx = cx;
+    this.cz = cz;
+    this.step = step;
+    this.group = new THREE.Group();
+    this.isReady = false;
+    this.isDisposed = false;
+    this.previous = null; // 被替换的旧 LOD 区块，在本区块构建完成前继续显示（由 World 管理）
+    this.jobKey = `lod:${step}:${cx},${cz}`;
+  }
+
+  /**
+   * 向 Worker 请求高度图
+   * @param {function(Object): void} onResult - 收到高度图时调用，由调用方安排 build 的时机
+   */
+  load(onResult) {
+    postWorldJob(this.jobKey, {
+      cx: this.cx,
+      cz: this.cz,
+      seed: WORLD_CONFIG.SEED,
+      preset: WORLD_CONFIG.PRESET,
+      settings: WORLD_CONFIG.SETTINGS,
+      lod: this.step
+    }, onResult);
+  }
+
+  /**
+   * 由高度图构建网格：每个采样一个顶面，朝向较低的邻居时补上侧面
+   * @param {Object} data - WorldWorker.generateLodChunk 的结果
+   */
+  build({ heights, surfaces, sides }) {
+    this.isReady = true;
+    if (!heights) return; // 没有地面的预设
+
+    const step = this.step;
+    const n = CHUNK_SIZE / step;
+    const size = n + 2;
+    const baseX = this.cx * CHUNK_SIZE, baseZ = this.cz * CHUNK_SIZE;
+    const positions = [], normals = [], colors = [], indices = [];
+
+    // 四边形：原点 o 与两条边 u、v，u × v 为法线方向
+    const pushQuad = (o, u, v, normal, color) => {
+      const start = positions.length / 3;
+      for (const [a, b] of [[0, 0], [1, 0], [1, 1], [0, 1]]) {
+        positions.push(o[0] + u[0] * a + v[0] * b, o[1] + u[1] * a + v[1] * b, o[2] + u[2] * a + v[2] * b);
+        normals.push(...normal);
+        colors.push(color.r, color.g, color.b);
+      }
+      indices.push(start, start + 1, start + 2, start, start + 2, start + 3);
+    };
+
+    for (let x = 0; x < n; x++) {
+      for (let z = 0; z < n; z++) {
+        const h = heights[(x + 1) * size + (z + 1)];
+        const top = h + 1;
+        const x0 = baseX + x * step, z0 = baseZ + z * step;
+        const x1 = x0 + step, z1 = z0 + step;
+        pushQuad([x0, top, z0], [0, 0, step], [step, 0, 0], [0, 1, 0], getLodColor(surfaces[x * n + z]));
+
+        // 侧面：向下延伸到较低的邻居，区块边缘额外延伸 SKIRT 格
+        const sideColor = getLodColor(sides[x * n + z]);
+        const sideBottom = (dx, dz) => {
+          const nh = heights[(x + 1 + dx) * size + (z + 1 + dz)];
+          const isEdge = x + dx < 0 || x + dx >= n || z + dz < 0 || z + dz >= n;
+          return isEdge ? Math.min(nh, h) + 1 - LOD_CONFIG.SKIRT : nh + 1;
+        };
+        let bottom = sideBottom(1, 0);
+        if (bottom < top) pushQuad([x1, bottom, z0], [0, top - bottom, 0], [0, 0, step], [1, 0, 0], sideColor);
+        bottom = sideBottom(-1, 0);
+        if (bottom < top) pushQuad([x0, bottom, z0], [0, 0, step], [0, top - bottom, 0], [-1, 0, 0], sideColor);
+        bottom = sideBottom(0, 1);
+        if (bottom < top) pushQuad([x0, bottom, z1], [step, 0, 0], [0, top - bottom, 0], [0, 0, 1], sideColor);
+        bottom = sideBottom(0, -1);
+        if (bottom < top) pushQuad([x0, bottom, z0], [0, top - bottom, 0], [step, 0, 0], [0, 0, -1], sideColor);
+      }
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.setAttribute('normal', new THREE.Float32BufferAttribute(normals, 3));
+    geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+    geometry.setIndex(indices);
+    const mesh = new THREE.Mesh(geometry, lodMaterial);
+    mesh.userData = { isLod: true };
+    this.group.add(mesh);
+  }
+
+  /**
+   * 释放几何体（材质为所有 LOD 区块共享），并丢弃尚未返回的高度图
+   */
+  dispose() {
+    this.isDisposed = true;
+    if (!this.isReady) cancelWorldJob(this.jobKey);
+    this.group.children.forEach(c => c.geometry.dispose());
+    this.group.clear();
+  }
+}
@@ -5,11 +5,88 @@
  * 负责：
  * 1. 根据噪声函数和生物群系生成地形高度
  * 2. 提供生物群系查询功能
- * 3. 判断是否在特定位置生成云
+ * 3. 提供地下地层（石头 / 深板岩 / 基岩）查询
  *
- * 使用多层噪声函数模拟自然地形，根据生物群系调整地形特征
+ * 使用带种子的梯度噪声 (fBm) 模拟自然地形，根据生物群系调整地形特征
  */
-import { noise, getBiome } from '../utils/MathUtils.js';
+import { fbm2D, fbm3D, getBiome, getContinentNoise, getMountainNoise, getFrostNoise, getWorldSettings, NOISE_SALT, hash3i, getSeedInt, getGenerationKey, clamp, lerp, WORLD_CONFIG } from '../utils/MathUtils.js';
+import { TERRAIN_CONFIG } from '../constants/TerrainConfig.js';
+import { resolvePreset } from '../constants/WorldPresets.js';
+
+/** 默认群系混合半径（方块），在该半径内按距离加权混合各群系的地形高度 */
+const DEFAULT_BLEND_RADIUS = 6;
+/** 混合采样步长（方块），步长越大采样点越少、过渡越粗糙 */
+const BLEND_SAMPLE_STEP = 2;
+/**
+ * 洞穴参数
+ * - 奶酪洞穴 (cheese)：3D fBm 高于阈值的区域被掏空，形成较大的空腔
+ * - 面条洞穴 (spaghetti)：两个 3D 噪声同时接近 0 的交线，形成细长连续的隧道
+ */
+const CAVE_CONFIG = {
+  CHEESE_SCALE: 0.06,
+  CHEESE_THRESHOLD: 0.42,
+  CHEESE_Y_SQUASH: 2,        // 纵向压缩，使空腔更扁平宽阔
+  SPAGHETTI_SCALE: 0.035,
+  SPAGHETTI_WIDTH: 0.09,
+  MIN_ROOF_DEPTH: 3,         // 洞顶至少保留的方块层数（入口处除外）
+  ENTRANCE_SCALE: 0.02,
+  ENTRANCE_THRESHOLD: 0.5    // 入口噪声高于该值的列允许隧道贯通到地表
+};
+
+/**
+ * 山地与海拔参数
+ * - 抬升量由山地噪声连续决定：在丘陵阈值处为 0，因此与周围群系的交界不会出现断崖
+ * - 山脊噪声取 1 - |fBm|，在零值线附近形成尖锐的山脊
+ */
+const MOUNTAIN_CONFIG = {
+  LIFT_START: 0.2,           // 与 getBiome 中的丘陵阈值一致
+  LIFT_RANGE: 0.4,           // 山地噪声超过起点多少后达到最大抬升
+  BASE_LIFT: 30,             // 最大基础抬升（方块）
+  RIDGE_LIFT: 25,            // 山脊额外抬升（方块）
+  RIDGE_SCALE: 0.025,
+  SNOW_LINE: 28,             // 温和地区的雪线高度
+  FROST_SNOW_DROP: 20        // 寒冷度为 1 时雪线下降的高度
+};
+
+/**
+ * 海洋参数
+ * - 海床下沉量由大陆噪声连续决定：在海洋阈值处为 0，越往外海越深，形成缓坡沙滩与深海盆地
+ * - 海床材质按水深和海床噪声选择：浅水为沙，较深处为黏土与砂砾
+ */
+const OCEAN_CONFIG = {
+  DROP_START: -0.2,          // 与 getBiome 中的海洋阈值一致
+  DROP_RANGE: 0.35,          // 大陆噪声低于起点多少后达到最大下沉
+  MAX_DROP: 22,              // 最大下沉（方块）
+  BEACH_BAND: 0.06,          // 海洋阈值以内该范围的陆地视为海岸
+  BEACH_HEIGHT: 3,           // 海岸沙滩延伸到海平面以上的格数
+  SEAFLOOR_SCALE: 0.05,
+  SHALLOW_DEPTH: 3,          // 水深不超过该值的海床保持为沙
+  GRAVEL_DEPTH: 10,          // 水深超过该值的海床以砂砾为主
+  CLAY_THRESHOLD: 0.3        // 海床噪声高于该值处为黏土斑块
+};
+
+/**
+ * 河流参数
+ * - 河道取河流噪声的零值线（脊状噪声 1 - |n| 的山脊），同一种子下跨区块连续
+ * - |n| 小于 CHANNEL_WIDTH 的列下切到河床高度，其外 BANK_WIDTH 范围内平滑抬升回原地形
+ * - 河流在山地中逐渐消失，避免切出贯穿山体的峡谷
+ */
+const RIVER_CONFIG = {
+  SCALE: 0.0025,
+  OCTAVES: 2,
+  CHANNEL_WIDTH: 0.01,
+  BANK_WIDTH: 0.02,
+  BED_DEPTH: 3,              // 河床位于海平面以下的格数
+  MOUNTAIN_FADE_START: 0.2,  // 与 getBiome 中的丘陵阈值一致
+  MOUNTAIN_FADE_RANGE: 0.12,
+  CLAY_THRESHOLD: 0.2        // 河床噪声高于该值处为黏土
+};
+
+/** 地层过渡使用的哈希通道，与群系抖动等其它逐方块哈希区分开 */
+const STRATA_HASH_SALT = 0x57a7a;
+
+/** 群系查询缓存上限，超过后整体清空，避免 Worker 内存持续增长 */
+const BIOME_CACHE_LIMIT = 8192;
 
 /**
  * 地形生成器类
@@ -17,32 +94,79 @@ import { noise, getBiome } from '../utils/MathUtils.js';
  * 提供以下核心功能：
  * 1. 地形高度生成 - 基于噪声函数和生物群系特征
  * 2. 生物群系查询 - 封装 MathUtils.js 中的生物群系判断逻辑
- * 3. 云生成判断 - 根据噪声值决定是否生成云朵
  *
  * 使用多层噪声叠加技术模拟自然地形变化
  */
 export class TerrainGen {
   /**
    * 创建地形生成器实例
-   * 目前不需要特殊初始化，保留构造函数以备未来扩展
+   * @param {Object} [options]
+   * @param {number} [options.blendRadius=6] - 群系混合半径（方块），0 表示不混合
    */
-  constructor() {
+  constructor({ blendRadius = DEFAULT_BLEND_RADIUS } = {}) {
+    this.blendRadius = blendRadius;
+    this.biomeCache = new Map();   // "x,z" -> 群系，混合采样时相邻列大量复用
+    this.cacheKey = null;          // 缓存对应的生成参数（getGenerationKey），种子、预设或设置变化时清空缓存
+    this.cacheSource = null;       // 上次计算 cacheKey 时的种子与预设 / 设置对象，未变化时无需重新序列化
+    this.presetSource = null;      // 当前预设配置对应的预设描述
+    this.preset = null;
+  }
+
+  /**
+   * 获取当前世界预设的完整配置（WORLD_CONFIG.PRESET 变化时重新展开）
+   * @returns {Object} 见 constants/WorldPresets.js
+   */
+  getPreset() {
+    if (this.presetSource !== WORLD_CONFIG.PRESET) {
+      this.presetSource = WORLD_CONFIG.PRESET;
+      this.preset = resolvePreset(WORLD_CONFIG.PRESET);
+    }
+    return this.preset;
+  }
+
+  /**
+   * 带缓存的群系查询（仅用于混合采样）
+   * @private
+   */
+  _cachedBiome(x, z) {
+    const seed = getSeedInt();
+    const src = this.cacheSource;
+    if (!src || src.seed !== seed || src.preset !== WORLD_CONFIG.PRESET || src.settings !== WORLD_CONFIG.SETTINGS) {
+      this.cacheSource = { seed, preset: WORLD_CONFIG.PRESET, settings: WORLD_CONFIG.SETTINGS };
+      const genKey = getGenerationKey();
+      if (this.cacheKey !== genKey) {
+        this.biomeCache.clear();
+        this.cacheKey = genKey;
+      }
+    }
+    if (this.biomeCache.size > BIOME_CACHE_LIMIT) this.biomeCache.clear();
+    const key = `${x},${z}`;
+    let biome = this.biomeCache.get(key);
+    if (biome === undefined) {
+      biome = getBiome(x, z);
+      this.biomeCache.set(key, biome);
+    }
+    return biome;
   }
 
   /**
    * 获取指定坐标的生物群系
    *
-   * 生物群系判断基于温度和湿度噪声值：
-   * 1. 温度噪声 (scale=0.01): 决定基本气候带
-   * 2. 湿度噪声 (scale=0.015): 与温度结合决定具体生物群系
+   * 生物群系判断基于温度和湿度 fBm 噪声值（均约为 [-1, 1]）：
+   * 1. 温度噪声 (scale=0.01 / 群系尺寸倍率): 决定基本气候带
+   * 2. 湿度噪声 (scale=0.015 / 群系尺寸倍率): 与温度结合决定具体生物群系
    *
    * 生物群系类型包括：
-   * - 'FOREST' (森林): temp > 1.2
-   * - 'AZALEA' (杜鹃林): 0.6 < temp ≤ 1.2 且 humidity > 0
-   * - 'DESERT' (沙漠): temp < -1.5
-   * - 'SWAMP' (沼泽): -1.5 < temp < -0.8 且 humidity > 0.5
+   * - 'FOREST' (森林): temp > 0.2
+   * - 'AZALEA' (杜鹃林): 0.08 < temp ≤ 0.2 且 humidity > 0
+   * - 'DESERT' (沙漠): temp < -0.25
+   * - 'SWAMP' (沼泽): -0.25 < temp < -0.1 且 humidity > 0.1
    * - 'PLAINS' (平原): 默认生物群系
    *
+   * 大陆噪声最优先：< -0.4 为 'DEEP_OCEAN' (深海)，< -0.2 为 'OCEAN' (海洋)；
+   * 山地噪声优先于温度湿度：> 0.32 为 'MOUNTAINS' (山地)，> 0.2 为 'HILLS' (丘陵)；
+   * 寒冷度噪声 > 0.3 的地区，森林/杜鹃林变为 'SNOWY_TAIGA' (针叶雪林)，其余变为 'TUNDRA' (冻原)
+   *
    * @param {number} x - X坐标（世界坐标）
    * @param {number} z - Z坐标（世界坐标）
    * @returns {string} 生物群系类型
@@ -53,48 +177,301 @@ export class TerrainGen {
   }
 
   /**
-   * 生成指定坐标的地形高度
+   * 生成指定坐标在单一群系下的地形高度
    *
-   * 使用多层噪声函数生成基础高度，然后根据生物群系进行调整：
-   * 1. 基础噪声：低频噪声 (scale=0.08) 提供地形大体轮廓
-   * 2. 细节噪声：高频噪声 (scale=0.02) 乘以3倍权重增加地形细节
-   * 3. 生物群系调整：根据生物群系类型调整高度特征
+   * 实际地形使用 getColumn 的逐列混合高度：
+   * 1. 基础高度 getBaseHeight：大陆噪声 × 10 + 细节噪声 × 6，与群系无关
+   * 2. 在 blendRadius 范围内采样周围的群系，按距离衰减加权平均各群系的 applyBiomeHeight
+   *    （沙漠 / 沼泽 / 冻原压低起伏，山地 / 丘陵叠加山地抬升，海洋 / 深海减去海床下沉，其余群系保持基础高度）
+   * 3. 按预设放大海平面以上的部分，再按河流强度下切河道
+   *
+   * 本方法只计算第 2 步中单个群系的一项，不做混合、放大与河流下切
    *
    * @param {number} x - X坐标（世界坐标）
    * @param {number} z - Z坐标（世界坐标）
-   * @param {string} biome - 生物群系类型（'FOREST', 'DESERT', 'SWAMP', 'AZALEA', 'PLAINS'）
+   * @param {string} biome - 生物群系类型，见 getBiome
    * @returns {number} 地形高度值（整数Y坐标）
    */
   generateHeight(x, z, biome) {
-    // 使用两层噪声叠加生成基础地形高度
-    // 第一层：低频噪声 (0.08) - 控制地形大体轮廓
-    // 第二层：高频噪声 (0.02) - 增加地形细节，乘以3倍权重增强效果
-    let h = Math.floor(noise(x, z, 0.08) + noise(x, z, 0.02) * 3);
+    return Math.floor(this.applyBiomeHeight(this.getBaseHeight(x, z), biome, x, z));
+  }
 
-    // 根据生物群系调整地形高度特征
-    if (biome === 'DESERT') h = Math.floor(h * 0.5 + 2);   // 沙漠：降低高度，增加平坦度
-    if (biome === 'SWAMP') h = Math.floor(h * 0.3 - 2);   // 沼泽：显著降低高度，形成低洼湿地
-    // 注意：森林、杜鹃林、平原等生物群系使用默认生成的高度
+  /**
+   * 计算不受群系影响的基础地形高度
+   * @param {number} x - X坐标（世界坐标）
+   * @param {number} z - Z坐标（世界坐标）
+   * @returns {number} 基础高度（整数）
+   */
+  getBaseHeight(x, z) {
+    // 大陆噪声：控制大尺度的陆地/海洋分布，振幅 10 格
+    const continent = getContinentNoise(x, z);
+    // 细节噪声：4 个倍频程叠加出丘陵，振幅 6 格
+    const detail = fbm2D(x, z, { scale: 0.02, octaves: 4, lacunarity: 2, persistence: 0.5, salt: NOISE_SALT.HEIGHT });
+    return Math.floor(continent * 10 + detail * 6);
+  }
 
+  /**
+   * 根据生物群系调整基础高度
+   * @param {number} h - 基础高度
+   * @param {string} biome - 生物群系类型
+   * @param {number} x - X坐标（世界坐标），山地抬升与海床下沉需要
+   * @param {number} z - Z坐标（世界坐标），山地抬升与海床下沉需要
+   * @returns {number} 调整后的高度（未取整）
+   */
+  applyBiomeHeight(h, biome, x, z) {
+    if (biome === 'DESERT') return h * 0.5 + 2;   // 沙漠：降低高度，增加平坦度
+    if (biome === 'SWAMP') return h * 0.3 - 2;    // 沼泽：显著降低高度，形成低洼湿地
+    if (biome === 'TUNDRA') return h * 0.7 + 1;   // 冻原：平缓开阔
+    if (biome === 'MOUNTAINS' || biome === 'HILLS') return h + this.getMountainLift(x, z);
+    if (biome === 'OCEAN' || biome === 'DEEP_OCEAN') return h - this.getOceanDrop(x, z);
+    // 注意：森林、杜鹃林、平原、针叶雪林等生物群系使用默认生成的高度
     return h;
   }
 
   /**
-   * 判断指定坐标是否应该生成云
+   * 计算山地抬升高度
+   * 按山地噪声的平方增长，丘陵只有数格起伏，山地中心可达数十格
+   * @param {number} x - X坐标（世界坐标）
+   * @param {number} z - Z坐标（世界坐标）
+   * @returns {number} 抬升高度（未取整）
+   */
+  getMountainLift(x, z) {
+    const t = clamp((getMountainNoise(x, z) - MOUNTAIN_CONFIG.LIFT_START) / MOUNTAIN_CONFIG.LIFT_RANGE, 0, 1);
+    if (t === 0) return 0;
+    const ridge = 1 - Math.abs(fbm2D(x, z, { scale: MOUNTAIN_CONFIG.RIDGE_SCALE, octaves: 3, salt: NOISE_SALT.MOUNTAIN_RIDGE }));
+    return t * t * (MOUNTAIN_CONFIG.BASE_LIFT + ridge * MOUNTAIN_CONFIG.RIDGE_LIFT);
+  }
+
+  /**
+   * 计算海床下沉深度
+   * 按大陆噪声的平方增长，近岸处坡度平缓形成沙滩，外海逐渐过渡为深海
+   * @param {number} x - X坐标（世界坐标）
+   * @param {number} z - Z坐标（世界坐标）
+   * @returns {number} 下沉深度（未取整）
+   */
+  getOceanDrop(x, z) {
+    const t = clamp((OCEAN_CONFIG.DROP_START - getContinentNoise(x, z)) / OCEAN_CONFIG.DROP_RANGE, 0, 1);
+    return t * t * OCEAN_CONFIG.MAX_DROP;
+  }
+
+  /**
+   * 判断指定陆地列是否属于海岸沙滩：靠近海洋且不高于沙滩高度
+   * @param {number} x - X坐标（世界坐标）
+   * @param {number} z - Z坐标（世界坐标）
+   * @param {number} h - 该列地表高度
+   * @returns {boolean}
+   */
+  isBeach(x, z, h) {
+    if (h > getWorldSettings().seaLevel + OCEAN_CONFIG.BEACH_HEIGHT) return false;
+    return getContinentNoise(x, z) < OCEAN_CONFIG.DROP_START + OCEAN_CONFIG.BEACH_BAND;
+  }
+
+  /**
+   * 获取海床表层方块：浅水为沙，较深处按海床噪声分布黏土斑块与砂砾
+   * @param {number} x - X坐标（世界坐标）
+   * @param {number} z - Z坐标（世界坐标）
+   * @param {number} depth - 水深（海平面到海床的格数）
+   * @returns {string} 'sand' | 'clay' | 'gravel'
+   */
+  getSeafloorBlock(x, z, depth) {
+    if (depth <= OCEAN_CONFIG.SHALLOW_DEPTH) return 'sand';
+    const n = fbm2D(x, z, { scale: OCEAN_CONFIG.SEAFLOOR_SCALE, octaves: 2, salt: NOISE_SALT.SEAFLOOR });
+    if (n > OCEAN_CONFIG.CLAY_THRESHOLD) return 'clay';
+    if (depth > OCEAN_CONFIG.GRAVEL_DEPTH || n < -OCEAN_CONFIG.CLAY_THRESHOLD) return 'gravel';
+    return 'sand';
+  }
+
+  /**
+   * 计算指定列的河流强度
+   * 河道内为 1，河岸范围内按平滑曲线衰减到 0；山地中整体衰减
+   * @param {number} x - X坐标（世界坐标）
+   * @param {number} z - Z坐标（世界坐标）
+   * @returns {number} [0, 1] 的河流强度，0 表示不受河流影响
+   */
+  getRiver(x, z) {
+    const { CHANNEL_WIDTH, BANK_WIDTH } = RIVER_CONFIG;
+    const n = Math.abs(fbm2D(x, z, { scale: RIVER_CONFIG.SCALE, octaves: RIVER_CONFIG.OCTAVES, salt: NOISE_SALT.RIVER }));
+    if (n >= CHANNEL_WIDTH + BANK_WIDTH) return 0;
+    let t = n <= CHANNEL_WIDTH ? 1 : 1 - (n - CHANNEL_WIDTH) / BANK_WIDTH;
+    t = t * t * (3 - 2 * t);
+    const fade = clamp((getMountainNoise(x, z) - RIVER_CONFIG.MOUNTAIN_FADE_START) / RIVER_CONFIG.MOUNTAIN_FADE_RANGE, 0, 1);
+    return t * (1 - fade);
+  }
+
+  /**
+   * 按河流强度下切地形：河道内降到河床高度，河岸处与原地形插值，只降低不抬高
+   * @param {number} height - 原地形高度（未取整）
+   * @param {number} river - getRiver 返回的河流强度
+   * @returns {number} 下切后的高度（未取整）
+   */
+  carveRiver(height, river) {
+    if (river <= 0) return height;
+    return lerp(height, Math.min(height, getWorldSettings().seaLevel - RIVER_CONFIG.BED_DEPTH), river);
+  }
+
+  /**
+   * 获取河床表层方块：按河床噪声分布黏土斑块，其余为沙
+   * @param {number} x - X坐标（世界坐标）
+   * @param {number} z - Z坐标（世界坐标）
+   * @returns {string} 'sand' | 'clay'
+   */
+  getRiverbedBlock(x, z) {
+    const n = fbm2D(x, z, { scale: OCEAN_CONFIG.SEAFLOOR_SCALE, octaves: 2, salt: NOISE_SALT.SEAFLOOR });
+    return n > RIVER_CONFIG.CLAY_THRESHOLD ? 'clay' : 'sand';
+  }
+
+  /**
+   * 获取指定列的雪线高度：地表高于雪线时覆盖积雪，越寒冷雪线越低
+   * @param {number} x - X坐标（世界坐标）
+   * @param {number} z - Z坐标（世界坐标）
+   * @returns {number} 雪线 Y
+   */
+  getSnowLine(x, z) {
+    const frost = Math.max(0, getFrostNoise(x, z));
+    return Math.floor(MOUNTAIN_CONFIG.SNOW_LINE - frost * MOUNTAIN_CONFIG.FROST_SNOW_DROP);
+  }
+
+  /**
+   * 获取指定列混合后的群系与地形高度
+   *
+   * 在 blendRadius 范围内按步长采样周围的群系，以距离衰减作为权重：
+   * 1. 高度：各群系对同一基础高度的调整结果加权平均，消除群系交界处的断崖
+   * 2. 地表群系：按权重做确定性抖动选择，交界处形成渐变而不是直线边界
+   *
+   * 3. 河流：混合后的高度再按河流强度下切，河道跨越群系交界
+   *
+   * 所有采样点都是世界坐标，与区块划分无关，相邻区块的边缘天然连续
+   *
+   * 非噪声地形的预设：超平坦返回固定的地表高度，没有地面的预设返回基岩层以下的高度
+   *
+   * @param {number} x - X坐标（世界坐标）
+   * @param {number} z - Z坐标（世界坐标）
+   * @returns {{biome: string, height: number, river: number}} 该列的地表群系、整数高度和河流强度
+   */
+  getColumn(x, z) {
+    const preset = this.getPreset();
+    if (preset.terrain === 'flat') return { biome: 'PLAINS', height: preset.surfaceY, river: 0 };
+    if (preset.terrain === 'none') return { biome: 'PLAINS', height: TERRAIN_CONFIG.BEDROCK_Y - 1, river: 0 };
+
+    const base = this.getBaseHeight(x, z);
+    const river = this.getRiver(x, z);
+    const radius = this.blendRadius;
+    if (radius <= 0) {
+      const biome = getBiome(x, z);
+      const height = this.amplify(this.applyBiomeHeight(base, biome, x, z), preset);
+      return { biome, height: Math.floor(this.carveRiver(height, river)), river };
+    }
+
+    const weights = new Map();
+    let total = 0;
+    for (let dx = -radius; dx <= radius; dx += BLEND_SAMPLE_STEP) {
+      for (let dz = -radius; dz <= radius; dz += BLEND_SAMPLE_STEP) {
+        const dist = Math.sqrt(dx * dx + dz * dz);
+        if (dist > radius) continue;
+        const w = 1 - dist / (radius + 1);
+        const b = this._cachedBiome(x + dx, z + dz);
+        weights.set(b, (weights.get(b) || 0) + w);
+        total += w;
+      }
+    }
+
+    let height = 0;
+    for (const [b, w] of weights) {
+      height += this.applyBiomeHeight(base, b, x, z) * (w / total);
+    }
+
+    // 地表群系抖动：用列坐标哈希得到 [0, 1) 的阈值，按累计权重挑选群系
+    let biome = null;
+    if (weights.size === 1) {
+      biome = weights.keys().next().value;
+    } else {
+      const pick = (hash3i(x, 0x5eed, z, getSeedInt()) / 4294967296) * total;
+      let acc = 0;
+      for (const [b, w] of weights) {
+        acc += w;
+        biome = b;
+        if (pick < acc) break;
+      }
+    }
+
+    height = this.amplify(height, preset);
+    return { biome, height: Math.floor(this.carveRiver(height, river)), river };
+  }
+
+  /**
+   * 按预设放大海平面以上的地形（放大化世界），水下地形保持不变
+   * @param {number} height - 混合后的地形高度
+   * @param {Object} preset - 当前预设配置
+   * @returns {number} 放大后的高度
+   */
+  amplify(height, preset) {
+    return height > 0 ? height * preset.heightScale : height;
+  }
+
+  /**
+   * 判断指定方块是否位于洞穴中（应被掏空）
    *
-   * 使用中等频率的噪声函数 (scale=0.03) 生成云朵分布模式：
-   * - 噪声值 > 1.2 的区域生成云朵
-   * - 噪声值 ≤ 1.2 的区域不生成云朵
+   * 洞穴完全由世界坐标的 3D 噪声决定，因此跨区块连续，且同一种子下结果一致。
+   * 调用方负责保护底部的基岩层，这里只处理洞顶：
+   * - 深度小于 MIN_ROOF_DEPTH 的方块默认保留，形成洞顶
+   * - 入口噪声较高的列允许面条隧道一直贯通到地表，形成洞口
    *
-   * 这种方法可以生成自然的、连续的云朵分布，避免规则排列
+   * @param {number} x - X坐标（世界坐标）
+   * @param {number} y - Y坐标（世界坐标）
+   * @param {number} z - Z坐标（世界坐标）
+   * @param {number} depth - 该方块距离地表的深度（地表为 0）
+   * @returns {boolean} 是否应被掏空
+   */
+  isCave(x, y, z, depth) {
+    const spaghetti = this._isSpaghettiCave(x, y, z);
+    if (depth < CAVE_CONFIG.MIN_ROOF_DEPTH) {
+      if (!spaghetti) return false;
+      return fbm2D(x, z, { scale: CAVE_CONFIG.ENTRANCE_SCALE, octaves: 2, salt: NOISE_SALT.CAVE_ENTRANCE }) > CAVE_CONFIG.ENTRANCE_THRESHOLD;
+    }
+    if (spaghetti) return true;
+
+    const cheese = fbm3D(x, y * CAVE_CONFIG.CHEESE_Y_SQUASH, z, {
+      scale: CAVE_CONFIG.CHEESE_SCALE, octaves: 2, salt: NOISE_SALT.CAVE_CHEESE
+    });
+    return cheese > CAVE_CONFIG.CHEESE_THRESHOLD;
+  }
+
+  /**
+   * 获取指定坐标的地层方块（不含洞穴雕刻）
+   *
+   * 地层只由 Y 和逐方块哈希决定，与区块划分、生成顺序无关：
+   * - BEDROCK_Y 及以下为基岩，其上 BEDROCK_ROUGHNESS 层内基岩逐渐稀疏
+   * - DEEPSLATE_Y 上下 DEEPSLATE_BLEND 层内石头与深板岩交错过渡
    *
    * @param {number} x - X坐标（世界坐标）
+   * @param {number} y - Y坐标（世界坐标）
    * @param {number} z - Z坐标（世界坐标）
-   * @returns {boolean} 是否在指定坐标生成云朵
+   * @returns {string} 'bedrock' | 'deepslate' | 'stone'
+   */
+  getStrataBlock(x, y, z) {
+    const { BEDROCK_Y, BEDROCK_ROUGHNESS, DEEPSLATE_Y, DEEPSLATE_BLEND } = TERRAIN_CONFIG;
+    if (y <= BEDROCK_Y) return 'bedrock';
+
+    const h = hash3i(x, y, z, getSeedInt() ^ STRATA_HASH_SALT);
+    if (y - BEDROCK_Y < BEDROCK_ROUGHNESS && h % BEDROCK_ROUGHNESS >= y - BEDROCK_Y) return 'bedrock';
+
+    if (y < DEEPSLATE_Y - DEEPSLATE_BLEND) return 'deepslate';
+    if (y >= DEEPSLATE_Y + DEEPSLATE_BLEND) return 'stone';
+    // 过渡带内越往下越可能是深板岩
+    const t = (DEEPSLATE_Y + DEEPSLATE_BLEND - y) / (DEEPSLATE_BLEND * 2 + 1);
+    return (h >>> 8) / 16777216 < t ? 'deepslate' : 'stone';
+  }
+
+  /**
+   * 面条洞穴：两个独立 3D 噪声的零值面相交处形成管状隧道
+   * @private
    */
-  shouldGenerateCloud(x, z) {
-    // 使用噪声函数生成云朵分布，噪声值大于1.2时生成云朵
-    return noise(x, z, 0.03) > 1.2;
+  _isSpaghettiCave(x, y, z) {
+    const opts = { scale: CAVE_CONFIG.SPAGHETTI_SCALE, octaves: 1 };
+    const a = fbm3D(x, y, z, { ...opts, salt: NOISE_SALT.CAVE_SPAGHETTI_A });
+    if (Math.abs(a) > CAVE_CONFIG.SPAGHETTI_WIDTH) return false;
+    const b = fbm3D(x, y, z, { ...opts, salt: NOISE_SALT.CAVE_SPAGHETTI_B });
+    return Math.abs(b) <= CAVE_CONFIG.SPAGHETTI_WIDTH;
   }
 }
 
@@ -3,13 +3,35 @@
 // 负责区块的加载/卸载、粒子效果、方块放置/移除逻辑
 import * as THREE from 'three';
 import { Chunk } from './Chunk.js';
+import { LodChunk, getLodStep } from './LodChunk.js';
+import { WORKER_POOL_CONFIG } from './WorldWorkerClient.js';
 import { chestManager } from './entities/Chest.js';
 import { persistenceService } from '../services/PersistenceService.js';
-import { noise } from '../utils/MathUtils.js';
+import { terrainGen } from './TerrainGen.js';
 import { ParticleSystem } from './effects/ParticleSystem.js';
+import { TERRAIN_CONFIG } from '../constants/TerrainConfig.js';
+import { LAVA_WATER_RESULT, isWaterBlock } from '../constants/BlockData.js';
+import { getWorldSettings } from '../utils/MathUtils.js';
 
 const CHUNK_SIZE = 16;
-const RENDER_DIST = 3;
+/**
+ * 渲染距离（区块），可在设置界面中调整
+ * 完整区块（方块数据、碰撞、可编辑）最多加载到 DETAIL_MAX，更远处以 LOD 地形显示（见 LodChunk.js）
+ */
+export const RENDER_DISTANCE = { DEFAULT: 3, MIN: 2, MAX: 16, DETAIL_MAX: 4 };
+/**
+ * 区块加载队列参数
+ * 待加载的区块与 LOD 区块按与玩家的距离和视线方向排序，逐个发往 Worker，避免跨越区块边界时集中生成与构建网格造成卡顿
+ */
+export const LOAD_CONFIG = {
+  MAX_GENERATING: WORKER_POOL_CONFIG.SIZE + 2, // 同时在生成中的区块数，其余在队列中等待（可随时重新排序或取消）
+  BUILD_BUDGET_MS: 4,   // 每帧在主线程构建区块网格的时间预算（毫秒），每帧至少构建一个
+  VIEW_WEIGHT: 0.35,    // 视线方向的权重：正后方的区块按 (1 + VIEW_WEIGHT) 倍距离排序，正前方按 (1 - VIEW_WEIGHT) 倍
+  MAX_RETRIES: 2,       // 区块生成失败后重新排队的次数，超过后不再加载该区块，直到它离开加载范围
+  LOD_PRIORITY_OFFSET: 100000 // LOD 区块的优先级偏移，使其总是排在完整区块之后
+};
+/** 相邻方块的六个方向，用于岩浆与水的接触判断 */
+const FACE_OFFSETS = [[1, 0, 0], [-1, 0, 0], [0, 1, 0], [0, -1, 0], [0, 0, 1], [0, 0, -1]];
 
 /**
  * 世界管理器类
@@ -19,6 +41,16 @@ export class World {
   constructor(scene) {
     this.scene = scene;
     this.chunks = new Map(); // Key: "cx,cz" -> Chunk
+    this.lodChunks = new Map(); // Key: "cx,cz" -> LodChunk
+    this.renderDistance = RENDER_DISTANCE.DEFAULT;
+    this.lodCenterKey = null; // 上次更新 LOD 环时的中心区块与渲染距离，变化时重新规划
+
+    // 区块加载队列
+    this.loadQueue = new Map(); // 等待加载的区块 Key: "cx,cz" -> {cx, cz}，LOD 区块 Key: jobKey -> {cx, cz, lod}
+    this.generatingChunks = new Set(); // 已发往 Worker、结果尚未返回的区块与 LOD 区块
+    this.buildQueue = []; // 结果已返回、等待构建网格的区块与 LOD 区块 {chunk, build}
+    this.viewDir = new THREE.Vector3(); // 当前视线方向（水平）
+    this.loadFailures = new Map(); // 生成失败的区块 Key: "cx,cz" -> 连续失败次数
 
     // 初始化粒子系统
     this.particles = new ParticleSystem(this.scene);
@@ -56,33 +88,65 @@ export class World {
    * 更新世界状态
    * @param {THREE.Vector3} playerPos - 玩家当前位置
    * @param {number} dt - 增量时间（秒）
+   * @param {THREE.Camera} [camera] - 当前相机，用于按视线方向排序加载队列
    */
-  update(playerPos = new THREE.Vector3(), dt = 0) { // Default for safety
+  update(playerPos = new THREE.Vector3(), dt = 0, camera = null) { // Default for safety
     const cx = Math.floor(playerPos.x / CHUNK_SIZE); // 玩家当前所在的区块 X 坐标
     const cz = Math.floor(playerPos.z / CHUNK_SIZE); // 玩家当前所在的区块 Z 坐标
 
-    // ... (加载/卸载区块逻辑保持不变) ...
-    // 加载新区块：根据玩家位置加载渲染距离 (RENDER_DIST=3) 内的所有区块
-    for (let i = -RENDER_DIST; i <= RENDER_DIST; i++) {
-      for (let j = -RENDER_DIST; j <= RENDER_DIST; j++) {
+    // 加载新区块：完整区块范围内缺少的区块进入加载队列
+    const detail = this.getDetailDistance();
+    for (let i = -detail; i <= detail; i++) {
+      for (let j = -detail; j <= detail; j++) {
         const key = `${cx + i},${cz + j}`;
-        if (!this.chunks.has(key)) {
-          const chunk = new Chunk(cx + i, cz + j, this);
-          this.chunks.set(key, chunk);
-          this.scene.add(chunk.group);
+        const gaveUp = (this.loadFailures.get(key) || 0) > LOAD_CONFIG.MAX_RETRIES;
+        if (!this.chunks.has(key) && !this.loadQueue.has(key) && !gaveUp) {
+          this.loadQueue.set(key, { cx: cx + i, cz: cz + j });
         }
       }
     }
 
+    // 取消超出完整区块范围、尚未开始加载的区块，以及已卸载的 LOD 区块（见 updateLod）
+    for (const [key, item] of this.loadQueue) {
+      const outOfRange = item.lod ? item.lod.isDisposed : Math.abs(item.cx - cx) > detail || Math.abs(item.cz - cz) > detail;
+      if (outOfRange) this.loadQueue.delete(key);
+    }
+
     // Unload old chunks
-    // 卸载旧区块：卸载超出渲染距离 (+1缓冲) 的区块，释放 GPU 显存和内存资源
+    // 卸载旧区块：卸载超出完整区块范围 (+1缓冲) 的区块，释放 GPU 显存和内存资源
     for (const [key, chunk] of this.chunks) {
-      if (Math.abs(chunk.cx - cx) > RENDER_DIST + 1 || Math.abs(chunk.cz - cz) > RENDER_DIST + 1) {
+      if (Math.abs(chunk.cx - cx) > detail + 1 || Math.abs(chunk.cz - cz) > detail + 1) {
         this.scene.remove(chunk.group);
         // 持久化区块修改：将该区块的快照数据存入 IndexedDB
         persistenceService.saveChunkData(chunk.cx, chunk.cz);
         chunk.dispose();
         this.chunks.delete(key);
+        this.generatingChunks.delete(chunk);
+      }
+    }
+    // 离开范围的区块清除失败次数，重新进入范围时可以再次加载
+    for (const key of this.loadFailures.keys()) {
+      const [fx, fz] = key.split(',').map(Number);
+      if (Math.abs(fx - cx) > detail + 1 || Math.abs(fz - cz) > detail + 1) this.loadFailures.delete(key);
+    }
+
+    // 按优先级开始加载队列中的区块，并在时间预算内构建已生成区块的网格
+    if (camera) camera.getWorldDirection(this.viewDir);
+    this.viewDir.y = 0;
+    this.viewDir.normalize();
+    this.processLoadQueue(playerPos);
+    this.processBuildQueue(playerPos);
+
+    this.updateLod(cx, cz, detail);
+
+    // 玩家接近已生成地层的底部时，向下扩展周围的区块
+    const py = Math.floor(playerPos.y);
+    for (let i = -1; i <= 1; i++) {
+      for (let j = -1; j <= 1; j++) {
+        const chunk = this.chunks.get(`${cx + i},${cz + j}`);
+        if (chunk && chunk.isReady && py - chunk.minY < TERRAIN_CONFIG.EXTEND_MARGIN) {
+          chunk.extendDown();
+        }
       }
     }
 
@@ -110,6 +174,215 @@ export class World {
     chestManager.update(dt);
   }
 
+  /**
+   * 区块的加载优先级，越小越优先：按到区块中心的水平距离，视线前方的区块优先
+   * @param {number} cx - 区块X坐标
+   * @param {number} cz - 区块Z坐标
+   * @param {THREE.Vector3} playerPos - 玩家位置
+   * @returns {number}
+   */
+  getLoadPriority(cx, cz, playerPos) {
+    const dx = (cx + 0.5) * CHUNK_SIZE - playerPos.x;
+    const dz = (cz + 0.5) * CHUNK_SIZE - playerPos.z;
+    const dist = Math.hypot(dx, dz);
+    if (dist === 0) return 0;
+    const facing = (dx * this.viewDir.x + dz * this.viewDir.z) / dist;
+    return dist * (1 - facing * LOAD_CONFIG.VIEW_WEIGHT);
+  }
+
+  /**
+   * 加载 / 构建队列中的排序依据：LOD 区块排在所有完整区块之后
+   * @param {Chunk|LodChunk|{cx: number, cz: number}} target - 区块、LOD 区块或待加载的区块坐标
+   * @param {THREE.Vector3} playerPos - 玩家位置
+   * @returns {number}
+   */
+  getQueuePriority(target, playerPos) {
+    const priority = this.getLoadPriority(target.cx, target.cz, playerPos);
+    return target instanceof LodChunk ? priority + LOAD_CONFIG.LOD_PRIORITY_OFFSET : priority;
+  }
+
+  /**
+   * 从加载队列中按优先级创建区块、请求 LOD 高度图，直到同时生成的数量达到 LOAD_CONFIG.MAX_GENERATING
+   * @param {THREE.Vector3} playerPos - 玩家位置
+   * @private
+   */
+  processLoadQueue(playerPos) {
+    if (this.loadQueue.size === 0 || this.generatingChunks.size >= LOAD_CONFIG.MAX_GENERATING) return;
+
+    const queued = [...this.loadQueue.entries()]
+      .map(([key, item]) => ({ key, ...item, priority: this.getQueuePriority(item.lod || item, playerPos) }))
+      .sort((a, b) => a.priority - b.priority);
+    for (const { key, cx, cz, lod } of queued) {
+      if (this.generatingChunks.size >= LOAD_CONFIG.MAX_GENERATING) break;
+      this.loadQueue.delete(key);
+      if (lod) {
+        this.generatingChunks.add(lod);
+        lod.load((data) => {
+          if (data.error) this.onLoadError(lod, data.error);
+          else this.queueBuild(lod, () => lod.build(data));
+        });
+        continue;
+      }
+      const chunk = new Chunk(cx, cz, this);
+      this.chunks.set(key, chunk);
+      this.generatingChunks.add(chunk);
+      this.scene.add(chunk.group);
+    }
+  }
+
+  /**
+   * 区块的生成结果返回后加入构建队列，由 processBuildQueue 按每帧预算构建网格
+   * @param {Chunk|LodChunk} chunk - 区块或 LOD 区块
+   * @param {function(): void} build - 应用生成结果、构建网格
+   */
+  queueBuild(chunk, build) {
+    this.generatingChunks.delete(chunk);
+    if (chunk instanceof Chunk) this.loadFailures.delete(`${chunk.cx},${chunk.cz}`);
+    this.buildQueue.push({ chunk, build });
+  }
+
+  /**
+   * 区块或 LOD 区块生成失败时由 Worker 回调调用
+   * - 区块：卸载后在下一帧重新排队，连续失败超过 LOAD_CONFIG.MAX_RETRIES 次后不再加载，直到它离开加载范围
+   * - LOD 区块：丢弃，恢复仍在显示的旧 LOD 区块；下次规划 LOD 环时重新创建
+   * @param {Chunk|LodChunk} target - 生成失败的区块或 LOD 区块
+   * @param {string} error - 错误信息
+   */
+  onLoadError(target, error) {
+    this.generatingChunks.delete(target);
+    const key = `${target.cx},${target.cz}`;
+
+    if (target instanceof LodChunk) {
+      console.error(`[World] LOD 区块 ${key} 生成失败:`, error);
+      if (this.lodChunks.get(key) !== target) return;
+      if (target.previous) {
+        this.lodChunks.set(key, target.previous);
+        target.previous = null;
+        this.disposeLod(target);
+      } else {
+        this.removeLodChunk(key, target);
+      }
+      return;
+    }
+
+    const failures = (this.loadFailures.get(key) || 0) + 1;
+    this.loadFailures.set(key, failures);
+    console.error(`[World] 区块 ${key} 生成失败（第 ${failures} 次）:`, error);
+    if (this.chunks.get(key) === target) {
+      this.scene.remove(target.group);
+      target.dispose();
+      this.chunks.delete(key);
+    }
+  }
+
+  /**
+   * 在 LOAD_CONFIG.BUILD_BUDGET_MS 内按优先级构建区块网格，每帧至少构建一个；已卸载的区块直接丢弃
+   * @param {THREE.Vector3} playerPos - 玩家位置
+   * @private
+   */
+  processBuildQueue(playerPos) {
+    this.buildQueue = this.buildQueue.filter(({ chunk }) => !chunk.isDisposed);
+    if (this.buildQueue.length === 0) return;
+
+    if (this.buildQueue.length > 1) {
+      this.buildQueue.sort((a, b) => this.getQueuePriority(a.chunk, playerPos) - this.getQueuePriority(b.chunk, playerPos));
+    }
+    const start = performance.now();
+    do {
+      this.buildQueue.shift().build();
+    } while (this.buildQueue.length > 0 && performance.now() - start < LOAD_CONFIG.BUILD_BUDGET_MS);
+  }
+
+  /**
+   * 设置渲染距离
+   * @param {number} distance - 渲染距离（区块），限制在 RENDER_DISTANCE.MIN 与 MAX 之间
+   */
+  setRenderDistance(distance) {
+    this.renderDistance = Math.min(RENDER_DISTANCE.MAX, Math.max(RENDER_DISTANCE.MIN, Math.round(distance)));
+    this.lodCenterKey = null;
+  }
+
+  /**
+   * 完整区块的加载半径（区块）
+   * @returns {number}
+   */
+  getDetailDistance() {
+    return Math.min(this.renderDistance, RENDER_DISTANCE.DETAIL_MAX);
+  }
+
+  /**
+   * 更新完整区块范围之外的 LOD 环
+   * 玩家跨越区块或渲染距离变化时，按距离创建 / 替换 / 卸载 LOD 区块；
+   * 每帧检查完整区块是否就绪：就绪后隐藏同位置的 LOD 区块，进入完整区块范围的直接卸载
+   * @param {number} cx - 玩家所在区块X坐标
+   * @param {number} cz - 玩家所在区块Z坐标
+   * @param {number} detail - 完整区块的加载半径
+   */
+  updateLod(cx, cz, detail) {
+    const dist = this.renderDistance;
+    const centerKey = `${cx},${cz},${dist}`;
+    if (this.lodCenterKey !== centerKey) {
+      this.lodCenterKey = centerKey;
+      for (let i = -dist; i <= dist; i++) {
+        for (let j = -dist; j <= dist; j++) {
+          const d = Math.max(Math.abs(i), Math.abs(j));
+          if (d <= detail) continue;
+          const key = `${cx + i},${cz + j}`;
+          const step = getLodStep(d);
+          const old = this.lodChunks.get(key);
+          if (old && old.step === step) continue;
+          const lod = new LodChunk(cx + i, cz + j, step);
+          this.loadQueue.set(lod.jobKey, { cx: lod.cx, cz: lod.cz, lod });
+          if (old) {
+            // 切换步长时保留已构建的旧 LOD 区块，直到新的构建完成，避免出现空洞
+            lod.previous = old.isReady ? old : old.previous;
+            if (!old.isReady) this.disposeLod(old);
+            old.previous = null;
+          }
+          this.lodChunks.set(key, lod);
+          this.scene.add(lod.group);
+        }
+      }
+    }
+
+    for (const [key, lod] of this.lodChunks) {
+      if (lod.previous && lod.isReady) {
+        this.disposeLod(lod.previous);
+        lod.previous = null;
+      }
+      const d = Math.max(Math.abs(lod.cx - cx), Math.abs(lod.cz - cz));
+      const chunk = this.chunks.get(key);
+      const covered = !!chunk && chunk.isReady;
+      // 超出渲染距离 (+1缓冲) 的卸载；完整区块范围内的 LOD 区块只保留到对应区块生成完成
+      if (d > dist + 1 || (d <= detail && (covered || (!chunk && !this.loadQueue.has(key))))) {
+        this.removeLodChunk(key, lod);
+      } else {
+        lod.group.visible = !covered;
+        if (lod.previous) lod.previous.group.visible = !covered;
+      }
+    }
+  }
+
+  /**
+   * 卸载一个 LOD 区块（连同仍在显示的旧 LOD 区块）
+   * @private
+   */
+  removeLodChunk(key, lod) {
+    if (lod.previous) this.disposeLod(lod.previous);
+    this.disposeLod(lod);
+    this.lodChunks.delete(key);
+  }
+
+  /**
+   * 从场景中移除并释放 LOD 区块
+   * @private
+   */
+  disposeLod(lod) {
+    this.scene.remove(lod.group);
+    lod.dispose();
+    this.generatingChunks.delete(lod);
+  }
+
   /**
    * 生成挖掘粒子效果 (转发至 ParticleSystem)
    * @param {THREE.Vector3} pos - 粒子生成位置
@@ -177,12 +450,15 @@ export class World {
 
     // 如果区块正在加载中，使用简单的噪声高度图作为物理占位，防止玩家掉入虚空
     if (!chunk || !chunk.isReady) {
-      // 使用与 TerrainGen 类似的比例来估算高度
-      const h = Math.floor(noise(x, z, 0.08) + noise(x, z, 0.02) * 3);
+      // 直接使用 TerrainGen 计算该列的地表高度
+      const h = terrainGen.getColumn(Math.floor(x), Math.floor(z)).height;
       // 允许一点点误差，确保玩家不会卡在土里
       return y <= h;
     }
 
+    // 尚未生成的深层地层视为实心，扩展完成前玩家不会掉出已生成区域
+    if (Math.floor(y) < chunk.minY) return true;
+
     const blockKey = `${Math.floor(x)},${Math.floor(y)},${Math.floor(z)}`;
     return chunk.solidBlocks.has(blockKey);
   }
@@ -205,12 +481,28 @@ export class World {
     return chunk.blockData[blockKey] || null;
   }
 
+  /**
+   * 判断指定位置是否有水：水方块，或海平面以下、地表以上的海水（海水由水面渲染，不是方块）
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   * @returns {boolean}
+   */
+  isWaterAt(x, y, z) {
+    const type = this.getBlock(x, y, z);
+    if (type) return isWaterBlock(type);
+    if (!terrainGen.getPreset().water || y >= getWorldSettings().seaLevel) return false;
+    return y > terrainGen.getColumn(Math.floor(x), Math.floor(z)).height;
+  }
+
   /**
    * 在指定位置放置方块
+   * 岩浆与水相遇时按 LAVA_WATER_RESULT 凝固：放入水中的岩浆变为圆石，水接触到的岩浆变为黑曜石
    * @param {number} x - X坐标
    * @param {number} y - Y坐标
    * @param {number} z - Z坐标
    * @param {string} type - 方块类型
+   * @returns {string|undefined} 实际放置的方块类型，区块未加载时为 undefined
    */
   setBlock(x, y, z, type) {
     const cx = Math.floor(x / CHUNK_SIZE);
@@ -234,9 +526,19 @@ export class World {
     // Simple approach: Chunk.addBlock(x,y,z,type) -> adds single Mesh to group.
     // Rebuilding whole chunk instanced mesh is too expensive for single block place.
     // 添加逻辑方块：调用区块的动态方块添加方法
+    if (type === 'lava' && FACE_OFFSETS.some(([dx, dy, dz]) => this.isWaterAt(x + dx, y + dy, z + dz))) {
+      type = LAVA_WATER_RESULT.LAVA_INTO_WATER;
+    }
     chunk.addBlockDynamic(x, y, z, type);
     // 记录持久化变更
     persistenceService.recordChange(x, y, z, type);
+
+    if (isWaterBlock(type)) {
+      for (const [dx, dy, dz] of FACE_OFFSETS) {
+        if (this.getBlock(x + dx, y + dy, z + dz) === 'lava') this.setBlock(x + dx, y + dy, z + dz, LAVA_WATER_RESULT.WATER_ONTO_LAVA);
+      }
+    }
+    return type;
   }
 
   /**
@@ -1,33 +1,132 @@
 // src/world/WorldWorker.js
-import { setSeed } from '../utils/MathUtils.js';
+import { setSeed, setPreset, setWorldSettings, getWorldSettings, createChunkRandom, createSeededRandom, getGenerationKey } from '../utils/MathUtils.js';
 import { terrainGen } from './TerrainGen.js';
 import { Tree } from './entities/Tree.js';
 import { Cloud } from './entities/Cloud.js';
 import { Island } from './entities/Island.js';
-import { getBlockProperties, BLOCK_DATA } from '../constants/BlockData.js';
+import { structureRegistry } from './structures/StructureRegistry.js';
+import { getVillageForChunk } from './structures/VillageGen.js';
+import { getDungeonForChunk, getDungeonWallBlock, DUNGEON_CONFIG } from './structures/DungeonGen.js';
+import { getArchipelagoForChunk, ARCHIPELAGO_CONFIG } from './structures/ArchipelagoGen.js';
+import { getBlockProperties, BLOCK_DATA, LAVA_WATER_RESULT, isWaterBlock } from '../constants/BlockData.js';
+import { TERRAIN_CONFIG } from '../constants/TerrainConfig.js';
+import { normalizeWorldSettings } from '../constants/WorldSettings.js';
+import { isGreedyType, getFaceAO, meshSection, getMeshTransferables, MESH_SECTION_HEIGHT } from './GreedyMesher.js';
 
 const CHUNK_SIZE = 16;
+const { BEDROCK_Y, DEEPSLATE_Y, LAVA_LEVEL, SHELL_DEPTH, SECTION_HEIGHT } = TERRAIN_CONFIG;
+/** 每 SECTION_HEIGHT 层地层中的地下房间数量 */
 const ROOMS_PER_CHUNK = 2;
 const MAX_ROOM_SIZE = 5;
+/**
+ * 地层生成使用的独立随机序列盐值
+ * 每段地层再按其底部 Y 区分序列，分段生成的结果与玩家何时挖到这里无关；
+ * 调整矿石表也不会打乱地形与植被的随机结果
+ */
+const ORE_RANDOM_SALT = 1;
+const ROOM_RANDOM_SALT = 2;
+const FEATURE_RANDOM_SALT = 3;
+const LAVA_RANDOM_SALT = 4;
+/**
+ * 特征（树木、结构、浮岛、云团）可以越过所在区块边界的最大距离（区块）
+ * 生成区块时会重放周围该范围内所有区块规划的特征，特征的水平半径不能超过 FEATURE_REACH * CHUNK_SIZE
+ */
+const FEATURE_REACH = 1;
+/** 特征规划缓存上限（区块），相邻区块生成时大量复用 */
+const FEATURE_CACHE_LIMIT = 256;
+/** 坡度达到该值（与邻列高度差）的地表裸露为岩石 */
+const STEEP_SLOPE = 3;
+/** 地表覆盖积雪、水面结冰的寒冷群系 */
+const SNOWY_BIOMES = ['TUNDRA', 'SNOWY_TAIGA'];
+/** 河岸铺沙的最大高度（海平面以上的格数） */
+const RIVER_BANK_HEIGHT = 2;
+/** 海洋群系：海床铺设砂砾 / 黏土并生长海草、海带与珊瑚 */
+const OCEAN_BIOMES = ['OCEAN', 'DEEP_OCEAN'];
+/** 珊瑚块的颜色变种 */
+const CORAL_BLOCKS = ['coral_block', 'coral_block_yellow', 'coral_block_blue'];
+/** 每 SECTION_HEIGHT 层地层中尝试生成的岩浆池数量，岩浆池只出现在 LAVA_POOL_MAX_Y 以下的洞穴底部 */
+const LAVA_POOLS_PER_CHUNK = 2;
+const LAVA_POOL_MAX_Y = DEEPSLATE_Y;
+const LAVA_POOL_RADIUS = [2, 4];
+/** 岩浆与水的接触检测方向 */
+const FACE_OFFSETS = [[1, 0, 0], [-1, 0, 0], [0, 1, 0], [0, -1, 0], [0, 0, 1], [0, 0, -1]];
+/** 矿脉可以替换的围岩 */
+const ORE_HOST_BLOCKS = ['stone', 'deepslate'];
 
-onmessage = function(e) {
-  const { cx, cz, seed, snapshot } = e.data;
+/**
+ * 矿石分布表
+ * - minY / maxY: 矿脉起点的世界 Y 范围，相对基岩层和深板岩层定义，随世界深度缩放
+ * - veinSize: 单条矿脉的方块数量（随机游走步数）
+ * - veinsPerChunk: 整个区块柱（地表到基岩）的矿脉数量，按每段地层与 Y 范围的重叠比例分配
+ * - biomes: 允许生成的群系，null 表示不限制
+ */
+const ORE_TABLE = [
+  { type: 'iron_ore', minY: BEDROCK_Y + 8, maxY: 4, veinSize: 8, veinsPerChunk: 16, biomes: null },
+  { type: 'gold_ore', minY: BEDROCK_Y + 4, maxY: -8, veinSize: 6, veinsPerChunk: 8, biomes: null },
+  { type: 'amethyst', minY: DEEPSLATE_Y - 16, maxY: -12, veinSize: 5, veinsPerChunk: 3, biomes: ['SWAMP', 'AZALEA'] },
+  { type: 'emerald', minY: DEEPSLATE_Y - 8, maxY: -8, veinSize: 3, veinsPerChunk: 2, biomes: ['FOREST', 'PLAINS'] },
+  { type: 'diamond', minY: BEDROCK_Y + 2, maxY: DEEPSLATE_Y - 4, veinSize: 4, veinsPerChunk: 3, biomes: null },
+  { type: 'debris', minY: BEDROCK_Y + 2, maxY: BEDROCK_Y + 16, veinSize: 2, veinsPerChunk: 1, biomes: ['DESERT'] }
+];
 
-  // 同步种子
+/** "cx,cz" -> 特征规划，只在同一种子与预设下有效 */
+const featureCache = new Map();
+let featureCacheKey = null;
+
+// Worker 入口；Node 中（server-script/worldgen.js）直接调用 generateChunk
+// 带 lod 字段的请求是远景 LOD 区块，只计算高度图；结果带回请求 ID，供 WorldWorkerClient 匹配回调
+// 生成出错时同样回复 {requestId, error}，否则客户端会一直等待该请求，同一区块之后的结果也无法按顺序送达
+globalThis.onmessage = function(e) {
+  const { requestId, cx, cz, lod } = e.data;
+  try {
+    if (lod) {
+      const result = generateLodChunk(e.data);
+      postMessage({ ...result, requestId }, result.heights ? [result.heights.buffer] : []);
+      return;
+    }
+    const result = generateChunk(e.data);
+    postMessage({ ...result, requestId }, getMeshTransferables(result.meshes));
+  } catch (error) {
+    console.error(`[WorldWorker] 区块 ${cx},${cz} 生成失败:`, error);
+    postMessage({ requestId, cx, cz, lod, error: error.message || String(error) });
+  }
+};
+
+/**
+ * 生成（或从快照恢复、向下扩展）一个区块
+ * @param {Object} data - 区块请求：cx, cz, seed, preset, settings，可选 snapshot 与 extendTo
+ * @returns {Object} 渲染数据与可保存的区块快照 snapshot: {blocks, entities, minY}
+ */
+export function generateChunk(data) {
+  const { cx, cz, seed, preset, settings, snapshot, extendTo } = data;
+
+  // 同步种子、世界预设与世界设置
   setSeed(seed);
+  if (preset) setPreset(preset);
+  if (settings) setWorldSettings(normalizeWorldSettings(settings));
+  const presetConfig = terrainGen.getPreset();
+  const { seaLevel } = getWorldSettings(); // 低于海平面的列被水覆盖
 
   // 使用 Map 暂存方块，确保同一位置后生成的方块覆盖旧方块
   const blockMap = new Map();
   let realisticTrees = []; // 记录真实 tree 的位置
   let modGunMan = []; // 记录模型人 (gun_man.glb) 的位置
   let rovers = []; // 记录火星车的位置
-  const structureQueue = []; // 结构生成队列，确保结构覆盖地形
+  let lootChests = []; // 记录结构宝箱的位置及其战利品表
+  let minY; // 已生成地层的最低 Y，更深的地层在玩家接近时按需生成
 
   // 模拟 Chunk 类的 add 方法 - 改为写入 blockMap
   const fakeChunk = {
     add: (x, y, z, type, dObj, solid = true) => {
       const key = `${Math.floor(x)},${Math.floor(y)},${Math.floor(z)}`;
       blockMap.set(key, { x, y, z, type, solid });
+    },
+    // 结构模板中的宝箱与实体标记
+    addLootChest: (x, y, z, loot) => lootChests.push({ x, y, z, loot }),
+    addEntity: (kind, pos) => {
+      if (kind === 'modGunMan') modGunMan.push(pos);
+      else if (kind === 'rover') rovers.push(pos);
+      else if (kind === 'realisticTree') realisticTrees.push(pos);
     }
   };
 
@@ -46,158 +145,101 @@ onmessage = function(e) {
       realisticTrees = snapshot.entities.realisticTrees || [];
       modGunMan = snapshot.entities.modGunMan || [];
       rovers = snapshot.entities.rovers || [];
+      lootChests = snapshot.entities.lootChests || [];
+    }
+    minY = snapshot.minY;
+    // 向下扩展：在已有方块之下补齐一段地层（旧存档没有 minY，视为已生成到底）
+    if (typeof extendTo === 'number' && minY !== undefined && extendTo < minY) {
+      const columns = getColumns(cx, cz);
+      generateStrata(cx, cz, columns, extendTo, minY - 1, blockMap, fakeChunk, {});
+      minY = extendTo;
     }
+  } else if (presetConfig.terrain !== 'noise') {
+    // 超平坦、空岛与虚空预设没有噪声地形和地下地层，一次生成完毕
+    generatePresetChunk(cx, cz, presetConfig, fakeChunk, {});
+    minY = BEDROCK_Y;
   } else {
     // 如果快照不存在，执行原有的地形、生物群系和结构生成逻辑
-    const rooms = [];
-    const roomSeed = Math.abs((cx * 73856093) ^ (cz * 19349663) ^ seed);
-    let rRand = roomSeed;
-    const nextRand = () => {
-      rRand = (rRand * 1103515245 + 12345) & 0x7fffffff;
-      return rRand / 0x7fffffff;
-    };
-
-    for (let i = 0; i < ROOMS_PER_CHUNK; i++) {
-      const rx = Math.floor(nextRand() * CHUNK_SIZE);
-      const rz = Math.floor(nextRand() * CHUNK_SIZE);
-      const ry = 2 + Math.floor(nextRand() * 8);
-      const rw = 2 + Math.floor(nextRand() * (MAX_ROOM_SIZE - 1));
-      const rh = 2 + Math.floor(nextRand() * (MAX_ROOM_SIZE - 1));
-      const rd = 2 + Math.floor(nextRand() * (MAX_ROOM_SIZE - 1));
-      rooms.push({
-        minX: cx * CHUNK_SIZE + rx - Math.floor(rw/2),
-        maxX: cx * CHUNK_SIZE + rx + Math.floor(rw/2),
-        minY: ry,
-        maxY: ry + rh,
-        minZ: cz * CHUNK_SIZE + rz - Math.floor(rd/2),
-        maxZ: cz * CHUNK_SIZE + rz + Math.floor(rd/2)
-      });
-    }
+    // 区块级确定性随机数：种子由 (seed, cx, cz) 决定，所有随机决策都必须使用它，
+    // 保证同一种子下重新生成的区块完全一致
+    const rand = createChunkRandom(cx, cz);
 
-    const centerBiome = terrainGen.getBiome(cx * CHUNK_SIZE, cz * CHUNK_SIZE);
     const dPlaceholder = {};
-
-    // 确定性随机函数
-    const seededRandom = (x, z, s) => {
-      const val = Math.sin(x * 12.9898 + z * 78.233 + s) * 43758.5453123;
-      return val - Math.floor(val);
-    };
+    const columns = getColumns(cx, cz); // 每列的群系与高度，地层与矿石生成共用
+    // 初次只生成到最低地表以下 SHELL_DEPTH 层
+    let lowest = Infinity;
+    for (const col of columns) lowest = Math.min(lowest, col.h);
+    minY = Math.max(BEDROCK_Y, lowest - SHELL_DEPTH);
+    const { pathKeys } = planFeatures(cx, cz, columns);
 
     for (let x = 0; x < CHUNK_SIZE; x++) {
       for (let z = 0; z < CHUNK_SIZE; z++) {
         const wx = cx * CHUNK_SIZE + x;
         const wz = cz * CHUNK_SIZE + z;
-        const h = terrainGen.generateHeight(wx, wz, centerBiome);
-        const wLvl = -2;
-        const safeForStructure = x >= 3 && x <= 12 && z >= 3 && z <= 12;
-
-        if (h < wLvl) {
-          fakeChunk.add(wx, h, wz, 'sand', dPlaceholder);
-          fakeChunk.add(wx, h - 1, wz, 'end_stone', dPlaceholder);
-          if (centerBiome === 'SWAMP' && Math.random() < 0.08) {
-            fakeChunk.add(wx, wLvl + 0.5, wz, 'lilypad', dPlaceholder, false);
-          }
-          if (h < -6 && Math.random() < 0.001 && safeForStructure) {
-            structureQueue.push(() => generateStructure('ship', wx, h + 1, wz, fakeChunk, dPlaceholder, rovers));
+        const col = columns[x * CHUNK_SIZE + z];
+        const { biome, h, river } = col;
+
+        if (h < seaLevel) {
+          const depth = seaLevel - h; // 水深
+          let floor = 'sand';
+          if (OCEAN_BIOMES.includes(biome)) floor = terrainGen.getSeafloorBlock(wx, wz, depth);
+          else if (river > 0) floor = terrainGen.getRiverbedBlock(wx, wz); // 河床：沙与黏土
+          fakeChunk.add(wx, h, wz, floor, dPlaceholder);
+          fakeChunk.add(wx, h - 1, wz, floor === 'clay' ? 'clay' : 'sand', dPlaceholder);
+          if (SNOWY_BIOMES.includes(biome)) {
+            // 寒冷地区的水面结冰
+            fakeChunk.add(wx, seaLevel, wz, 'ice', dPlaceholder);
+          } else if (biome === 'SWAMP' && rand() < 0.08) {
+            fakeChunk.add(wx, seaLevel + 0.5, wz, 'lilypad', dPlaceholder, false);
+          } else if (OCEAN_BIOMES.includes(biome)) {
+            generateSeafloorPlants(wx, h, wz, depth, biome, fakeChunk, dPlaceholder, rand);
           }
         } else {
-          let surf = 'grass', sub = 'dirt';
-          if (centerBiome === 'DESERT') { surf = 'sand'; sub = 'sand'; }
-          if (centerBiome === 'AZALEA') { surf = 'moss'; sub = 'dirt'; }
-          if (centerBiome === 'SWAMP') { surf = 'swamp_grass'; sub = 'dirt'; }
-
-          fakeChunk.add(wx, h, wz, surf, dPlaceholder);
-          fakeChunk.add(wx, h - 1, wz, sub, dPlaceholder);
-
-          for (let k = 2; k <= 12; k++) {
-            if (k === 12) {
-              fakeChunk.add(wx, h - k, wz, 'end_stone', dPlaceholder);
-              continue;
-            }
-            if (k === 11) {
-              fakeChunk.add(wx, h - k, wz, 'stone', dPlaceholder);
-              continue;
-            }
-            let inRoom = false;
-            for (const r of rooms) {
-              if (wx >= r.minX && wx <= r.maxX && wz >= r.minZ && wz <= r.maxZ && k >= r.minY && k <= r.maxY) {
-                inRoom = true;
-                break;
-              }
-            }
-            if (inRoom) continue;
-            const blockType = Math.random() < 0.05 ? 'gold_ore' : 'stone';
-            fakeChunk.add(wx, h - k, wz, blockType, dPlaceholder);
-          }
+          const { surf, sub, isShore, isRiverBank, surfaceCarved } = getSurface(wx, wz, col);
+          // 3D 噪声洞穴：洞口处地表也会被掏空
+          if (!surfaceCarved) fakeChunk.add(wx, h, wz, surf, dPlaceholder);
+          if (!terrainGen.isCave(wx, h - 1, wz, 1)) fakeChunk.add(wx, h - 1, wz, sub, dPlaceholder);
 
-          if (centerBiome === 'FOREST') {
-            if (Math.random() < 0.04) {
-              if (Math.random() < 0.15) {
-                realisticTrees.push({ x: wx, y: h + 1, z: wz });
-              } else {
-                const isYellow = Math.random() < 0.1;
-                const leafType = isYellow ? 'yellow_leaves' : null;
-                const isBirch = Math.random() < 0.1;
-                const logType = isBirch ? 'birch_log' : null;
-                Tree.generate(wx, h + 1, wz, fakeChunk, 'big', dPlaceholder, logType, leafType);
-              }
-            }
-          } else if (centerBiome === 'AZALEA') {
-            if (Math.random() < 0.045) Tree.generate(wx, h + 1, wz, fakeChunk, 'azalea', dPlaceholder);
-          } else if (centerBiome === 'SWAMP') {
-            if (Math.random() < 0.03) Tree.generate(wx, h + 1, wz, fakeChunk, 'swamp', dPlaceholder);
-          } else if (centerBiome === 'DESERT') {
-            if (Math.random() < 0.01) fakeChunk.add(wx, h + 1, wz, 'cactus', dPlaceholder);
-            if (Math.random() < 0.0005 && safeForStructure) {
-              structureQueue.push(() => generateStructure('rover', wx, h + 1, wz, fakeChunk, dPlaceholder, rovers));
-            }
-          } else {
-            let occupied = false;
-            const spawnRand = seededRandom(wx, wz, seed);
-            if (surf === 'grass' && spawnRand < 0.0005) {
-              modGunMan.push({ x: wx, y: h + 1, z: wz });
-              occupied = true;
-            }
-            if (!occupied && Math.random() < 0.005) {
-              Tree.generate(wx, h + 1, wz, fakeChunk, 'default', dPlaceholder);
-              occupied = true;
-            }
-            if (!occupied) {
-              const randPlant = Math.random();
-              if (randPlant < 0.05) {
+          // 单格植被；树木、结构等较大的特征在特征阶段统一放置
+          if (isShore || isRiverBank || surfaceCarved || pathKeys.has(`${wx},${wz}`)) {
+            // 沙滩、河岸、洞口和村庄道路上不生成植被
+          } else if (biome === 'MOUNTAINS') {
+            // 山地：岩石与积雪上不生长植被，其余只有稀疏的草
+            if (surf === 'grass' && rand() < 0.04) fakeChunk.add(wx, h + 1, wz, 'short_grass', dPlaceholder, false);
+          } else if (biome === 'HILLS') {
+            if (surf === 'grass') {
+              const randPlant = rand();
+              if (randPlant < 0.08) {
                 fakeChunk.add(wx, h + 1, wz, 'short_grass', dPlaceholder, false);
               } else if (randPlant < 0.10) {
-                const flowerType = Math.random() < 0.33 ? 'allium' : 'flower';
-                fakeChunk.add(wx, h + 1, wz, flowerType, dPlaceholder, false);
+                fakeChunk.add(wx, h + 1, wz, 'allium', dPlaceholder, false);
               }
             }
-            if (Math.random() < 0.001 && safeForStructure) {
-              structureQueue.push(() => generateStructure('house', wx, h + 1, wz, fakeChunk, dPlaceholder, rovers));
+          } else if (biome === 'DESERT') {
+            if (rand() < 0.01) fakeChunk.add(wx, h + 1, wz, 'cactus', dPlaceholder);
+          } else if (!['FOREST', 'AZALEA', 'SWAMP', 'SNOWY_TAIGA', 'TUNDRA'].includes(biome)) {
+            const randPlant = rand();
+            if (randPlant < 0.05) {
+              fakeChunk.add(wx, h + 1, wz, 'short_grass', dPlaceholder, false);
+            } else if (randPlant < 0.10) {
+              const flowerType = rand() < 0.33 ? 'allium' : 'flower';
+              fakeChunk.add(wx, h + 1, wz, flowerType, dPlaceholder, false);
             }
           }
         }
-        if (terrainGen.shouldGenerateCloud(wx, wz)) {
-          Cloud.generate(wx, 55, wz, fakeChunk, dPlaceholder);
-        }
       }
     }
 
-    if (Math.random() < 0.08) {
-      const islandY = 40 + Math.floor(Math.random() * 30);
-      const centerWx = cx * CHUNK_SIZE + 8;
-      const centerWz = cz * CHUNK_SIZE + 8;
-      Island.generate(centerWx, islandY, centerWz, fakeChunk, dPlaceholder);
-    }
-    if (Math.random() < 0.20) {
-      const startX = cx * CHUNK_SIZE + Math.floor(Math.random() * CHUNK_SIZE);
-      const startZ = cz * CHUNK_SIZE + Math.floor(Math.random() * CHUNK_SIZE);
-      const size = 30 + Math.floor(Math.random() * 21);
-      Cloud.generateCluster(startX, 35, startZ, size, fakeChunk, dPlaceholder);
-    }
-    structureQueue.forEach(task => task());
+    // 地表以下的地层、洞穴、房间与矿脉
+    generateStrata(cx, cz, columns, minY, null, blockMap, fakeChunk, dPlaceholder);
+
+    // 特征阶段：重放本区块及周围区块规划的特征（规划中的实体只由其所在的区块记录）
+    const { entities } = replayFeatures(cx, cz, (px, pz) => planFeatures(px, pz, px === cx && pz === cz ? columns : null), fakeChunk, dPlaceholder);
+    realisticTrees.push(...entities.realisticTrees);
+    modGunMan.push(...entities.modGunMan);
   }
 
-  // 统一后处理：AO 计算、隐藏面剔除，并返回渲染数据
+  // 统一后处理：AO 计算、隐藏面剔除、合并网格，并返回渲染数据
   const blocksForSnapshot = {};
   for (const [key, b] of blockMap) {
     blocksForSnapshot[key] = b.type;
@@ -218,45 +260,6 @@ onmessage = function(e) {
     return true;
   };
 
-  /**
-   * 计算指定角落的 AO 值 (0-3)
-   * AO = 3 - (side1 + side2 + corner)
-   * side1, side2, corner 为 1 如果该位置被遮挡，否则为 0
-   */
-  const getAOValue = (side1, side2, corner) => {
-    if (side1 && side2) return 0; // 两个侧面都遮挡，AO 为 0 (最暗)
-    return 3 - (side1 + side2 + corner);
-  };
-
-  const getAO = (x, y, z, faceIdx) => {
-    // faceIdx: 0:px, 1:nx, 2:py, 3:ny, 4:pz, 5:nz
-    // 返回 4 个顶点的 AO 值
-    const aos = new Uint8Array(4).fill(3);
-
-    // 根据面定义相邻方块偏移
-    if (faceIdx === 0) { // px (侧面)
-      aos[0] = getAOValue(isOccluding(x+1, y+1, z), 0, 0);
-      aos[2] = getAOValue(isOccluding(x+1, y+1, z), 0, 0);
-    } else if (faceIdx === 1) { // nx (侧面)
-      aos[0] = getAOValue(isOccluding(x-1, y+1, z), 0, 0);
-      aos[2] = getAOValue(isOccluding(x-1, y+1, z), 0, 0);
-    } else if (faceIdx === 2) { // py (顶面)
-      aos[0] = getAOValue(isOccluding(x-1, y+1, z), isOccluding(x, y+1, z-1), isOccluding(x-1, y+1, z-1));
-      aos[1] = getAOValue(isOccluding(x+1, y+1, z), isOccluding(x, y+1, z-1), isOccluding(x+1, y+1, z-1));
-      aos[2] = getAOValue(isOccluding(x-1, y+1, z), isOccluding(x, y+1, z+1), isOccluding(x-1, y+1, z+1));
-      aos[3] = getAOValue(isOccluding(x+1, y+1, z), isOccluding(x, y+1, z+1), isOccluding(x+1, y+1, z+1));
-    } else if (faceIdx === 3) { // ny (底面)
-      // Keep all at 3
-    } else if (faceIdx === 4) { // pz (侧面)
-      aos[0] = getAOValue(isOccluding(x, y+1, z+1), 0, 0);
-      aos[2] = getAOValue(isOccluding(x, y+1, z+1), 0, 0);
-    } else if (faceIdx === 5) { // nz (侧面)
-      aos[0] = getAOValue(isOccluding(x, y+1, z-1), 0, 0);
-      aos[2] = getAOValue(isOccluding(x, y+1, z-1), 0, 0);
-    }
-    return aos;
-  };
-
   // 初始化所有可能的类型数组
   const allTypes = Object.keys(BLOCK_DATA); // 包含所有定义在 BLOCK_DATA 中的类型
   for(const type of allTypes) {
@@ -265,8 +268,10 @@ onmessage = function(e) {
 
   // 记录所有方块的类型（包括被剔除的），用于主线程在挖掘时恢复
   const allBlockTypes = {};
-  // 记录当前可见（已添加进d）的方块Key
+  // 记录当前可见（已添加进d或合并网格）的方块Key
   const visibleKeys = [];
+  // 含有可见的合并网格方块的网格段
+  const meshSections = new Set();
 
   for (const [key, block] of blockMap) {
     // if (block.type === 'air') {
@@ -275,26 +280,35 @@ onmessage = function(e) {
     // }
     if (block.solid) solidBlocks.push(key);
     let visible = true;
-    if (block.solid) {
+    if (block.solid || block.type === 'lava') {
       const { x, y, z } = block;
+      // 岩浆除了被实心方块遮挡，也被相邻的岩浆遮挡，岩浆湖内部不生成实例
+      const hides = (nx, ny, nz) => {
+        if (isOccluding(nx, ny, nz)) return true;
+        const b = block.type === 'lava' && blockMap.get(`${nx},${ny},${nz}`);
+        return !!b && b.type === 'lava';
+      };
       const covered =
-        isOccluding(x + 1, y, z) &&
-        isOccluding(x - 1, y, z) &&
-        isOccluding(x, y + 1, z) &&
-        isOccluding(x, y - 1, z) &&
-        isOccluding(x, y, z + 1) &&
-        isOccluding(x, y, z - 1);
+        hides(x + 1, y, z) &&
+        hides(x - 1, y, z) &&
+        hides(x, y + 1, z) &&
+        hides(x, y - 1, z) &&
+        hides(x, y, z + 1) &&
+        hides(x, y, z - 1);
       if (covered && block.type !== 'chest') visible = false;
     }
 
-    if (visible) {
+    if (visible && isGreedyType(block.type)) {
+      meshSections.add(Math.floor(block.y / MESH_SECTION_HEIGHT));
+      visibleKeys.push(key);
+    } else if (visible) {
       if (!d[block.type]) d[block.type] = [];
       let aoLow = 0;
       let aoHigh = 0;
       const props = getBlockProperties(block.type);
       if (props.isAOEnabled) {
         for (let f = 0; f < 6; f++) {
-          const aos = getAO(block.x, block.y, block.z, f);
+          const aos = getFaceAO(isOccluding, block.x, block.y, block.z, f);
           for (let v = 0; v < 4; v++) {
             const vertexIdx = f * 4 + v;
             const aoVal = aos[v];
@@ -309,71 +323,688 @@ onmessage = function(e) {
     allBlockTypes[key] = block.type;
   }
 
+  // 不透明的立方体方块按网格段贪心合并
+  const getType = (x, y, z) => {
+    const b = blockMap.get(`${x},${y},${z}`);
+    return b && b.type;
+  };
+  const meshes = [];
+  for (const sy of meshSections) meshes.push(...meshSection(getType, cx, cz, sy));
+
   // 返回数据
-  postMessage({
-    cx, cz, d, solidBlocks, realisticTrees, modGunMan, rovers, allBlockTypes, visibleKeys,
+  return {
+    cx, cz, d, meshes, solidBlocks, realisticTrees, modGunMan, rovers, lootChests, allBlockTypes, visibleKeys,
     snapshot: {
       blocks: blocksForSnapshot,
-      entities: { realisticTrees, modGunMan, rovers }
+      entities: { realisticTrees, modGunMan, rovers, lootChests },
+      minY
     }
-  });
-};
+  };
+}
 
-// 复制结构生成逻辑
-function generateStructure(type, x, y, z, chunk, dObj, rovers = []) {
-  if (type === 'house') {
-    const wallMat = Math.random() < 0.33 ? 'bricks' : 'planks';
-    for (let i = -2; i <= 2; i++) for (let j = -2; j <= 2; j++) chunk.add(x + i, y - 1, z + j, 'stone', dObj);
-    for (let i = -2; i <= 2; i++) for (let j = -2; j <= 2; j++) {
-      if (Math.abs(i) === 2 || Math.abs(j) === 2) {
-        if (i === 0 && j === 2) continue;
-        if ((i === -2 || i === 2) && j === 0) {
-          chunk.add(x + i, y, z + j, wallMat, dObj);
-          chunk.add(x + i, y + 1, z + j, 'glass_block', dObj);
-          chunk.add(x + i, y + 2, z + j, wallMat, dObj);
-        } else {
-          for (let h = 0; h < 3; h++) chunk.add(x + i, y + h, z + j, wallMat, dObj);
+/**
+ * 获取区块规划的特征（树木、结构、浮岛、云团），供地图导出等工具标注特征位置
+ * 需在 generateChunk 同步种子、预设与设置之后调用
+ * @param {number} cx - 区块X坐标
+ * @param {number} cz - 区块Z坐标
+ * @returns {Array<Object>} 起源于该区块的特征，见 planFeatures
+ */
+export function getFeaturePlan(cx, cz) {
+  const preset = terrainGen.getPreset();
+  if (preset.terrain === 'noise') return planFeatures(cx, cz).features;
+  if (preset.spawn === 'island') return planSkyIslands(cx, cz, preset).features;
+  return [];
+}
+
+/**
+ * 逐列查询群系与高度（高度在群系交界处平滑混合），并计算坡度
+ * 区块外多采样一圈，保证边缘列的坡度与相邻区块一致
+ * @returns {Array<{biome: string, h: number, slope: number, river: number}>} 按 x * CHUNK_SIZE + z 索引
+ */
+function getColumns(cx, cz) {
+  const size = CHUNK_SIZE + 2;
+  const samples = new Array(size * size);
+  for (let x = 0; x < size; x++) {
+    for (let z = 0; z < size; z++) {
+      samples[x * size + z] = terrainGen.getColumn(cx * CHUNK_SIZE + x - 1, cz * CHUNK_SIZE + z - 1);
+    }
+  }
+
+  const columns = new Array(CHUNK_SIZE * CHUNK_SIZE);
+  for (let x = 0; x < CHUNK_SIZE; x++) {
+    for (let z = 0; z < CHUNK_SIZE; z++) {
+      const i = (x + 1) * size + (z + 1);
+      const { biome, height, river } = samples[i];
+      // 坡度：与四邻列的最大高度差
+      const slope = Math.max(
+        Math.abs(height - samples[i - size].height),
+        Math.abs(height - samples[i + size].height),
+        Math.abs(height - samples[i - 1].height),
+        Math.abs(height - samples[i + 1].height)
+      );
+      columns[x * CHUNK_SIZE + z] = { biome, h: height, slope, river };
+    }
+  }
+  return columns;
+}
+
+/**
+ * 生成远景 LOD 区块的高度图：每 lod × lod 列取一个采样，只使用 TerrainGen，不生成方块与碰撞数据
+ * 采样网格向四周各多取一个采样，用于计算坡度和区块边缘的侧面
+ * @param {Object} data - LOD 请求：cx, cz, seed, preset, settings, lod（采样步长，能整除区块尺寸）
+ * @returns {{cx: number, cz: number, lod: number, heights: Int16Array, surfaces: string[], sides: string[]}|{cx: number, cz: number, lod: number, heights: null}}
+ *   heights 为 (n + 2) × (n + 2) 个采样的顶面高度（n = CHUNK_SIZE / lod，x 主序），
+ *   surfaces / sides 为内部 n × n 个采样的顶面与侧面方块；没有地面的预设 heights 为空
+ */
+export function generateLodChunk(data) {
+  const { cx, cz, seed, preset, settings, lod: step } = data;
+  setSeed(seed);
+  if (preset) setPreset(preset);
+  if (settings) setWorldSettings(normalizeWorldSettings(settings));
+  if (terrainGen.getPreset().terrain === 'none') return { cx, cz, lod: step, heights: null };
+  const { seaLevel } = getWorldSettings();
+
+  // 采样取每格的中心列
+  const n = CHUNK_SIZE / step;
+  const size = n + 2;
+  const samples = new Array(size * size);
+  const heights = new Int16Array(size * size);
+  for (let i = 0; i < size; i++) {
+    for (let j = 0; j < size; j++) {
+      const wx = cx * CHUNK_SIZE + (i - 1) * step + (step >> 1);
+      const wz = cz * CHUNK_SIZE + (j - 1) * step + (step >> 1);
+      const sample = { wx, wz, ...terrainGen.getColumn(wx, wz) };
+      samples[i * size + j] = sample;
+      // 寒冷地区的水面结冰，顶面位于海平面
+      const frozen = sample.height < seaLevel && SNOWY_BIOMES.includes(sample.biome);
+      heights[i * size + j] = frozen ? seaLevel : sample.height;
+    }
+  }
+
+  const surfaces = new Array(n * n);
+  const sides = new Array(n * n);
+  for (let x = 0; x < n; x++) {
+    for (let z = 0; z < n; z++) {
+      const i = (x + 1) * size + (z + 1);
+      const { wx, wz, biome, height: h, river } = samples[i];
+      if (h < seaLevel) {
+        // 水下为海床 / 河床，寒冷地区的水面结冰
+        let floor = 'sand';
+        if (OCEAN_BIOMES.includes(biome)) floor = terrainGen.getSeafloorBlock(wx, wz, seaLevel - h);
+        else if (river > 0) floor = terrainGen.getRiverbedBlock(wx, wz);
+        surfaces[x * n + z] = SNOWY_BIOMES.includes(biome) ? 'ice' : floor;
+        sides[x * n + z] = floor;
+        continue;
+      }
+      // 坡度按采样间距折算为每格的高度差
+      const slope = Math.ceil(Math.max(
+        Math.abs(h - samples[i - size].height),
+        Math.abs(h - samples[i + size].height),
+        Math.abs(h - samples[i - 1].height),
+        Math.abs(h - samples[i + 1].height)
+      ) / step);
+      const { surf, sub } = getSurface(wx, wz, { biome, h, slope, river });
+      surfaces[x * n + z] = surf;
+      sides[x * n + z] = sub;
+    }
+  }
+  return { cx, cz, lod: step, heights, surfaces, sides };
+}
+
+/**
+ * 计算陆地列的地表方块及植被限制，只由列数据与世界坐标决定
+ * 地形阶段与特征规划阶段共用，相邻区块重放特征时得到相同的判断
+ * @returns {{surf: string, sub: string, snowLine: number, isShore: boolean, isRiverBank: boolean, surfaceCarved: boolean}}
+ */
+function getSurface(wx, wz, { biome, h, slope, river }) {
+  let surf = 'grass', sub = 'dirt';
+  if (biome === 'DESERT') { surf = 'sand'; sub = 'sand'; }
+  if (biome === 'AZALEA') { surf = 'moss'; sub = 'dirt'; }
+  if (biome === 'SWAMP') { surf = 'swamp_grass'; sub = 'dirt'; }
+  if (SNOWY_BIOMES.includes(biome)) { surf = 'snow'; sub = 'dirt'; }
+  if (biome === 'MOUNTAINS') { sub = 'stone'; }
+  // 海拔与坡度：陡坡裸露岩石，雪线以上覆盖积雪
+  const snowLine = terrainGen.getSnowLine(wx, wz);
+  if (slope >= STEEP_SLOPE) { surf = 'stone'; sub = 'stone'; }
+  else if (h >= snowLine) { surf = 'snow'; }
+  // 紧贴水面的陆地和海岸附近的低地铺成沙滩（沼泽和寒冷地区保持原有的岸边）
+  const { seaLevel } = getWorldSettings();
+  const isShore = (h <= seaLevel + 1 || terrainGen.isBeach(wx, wz, h)) && biome !== 'SWAMP' && !SNOWY_BIOMES.includes(biome);
+  // 河岸：河道两侧略高于水面的列，沙与黏土交错
+  const isRiverBank = river > 0 && h <= seaLevel + RIVER_BANK_HEIGHT;
+  if (isShore) { surf = 'sand'; sub = 'sand'; }
+  if (isRiverBank) { surf = terrainGen.getRiverbedBlock(wx, wz); sub = surf; }
+  const surfaceCarved = terrainGen.isCave(wx, h, wz, 0);
+  return { surf, sub, snowLine, isShore, isRiverBank, surfaceCarved };
+}
+
+/**
+ * 规划区块内起源的特征：树木、结构、浮岛、云团以及实体
+ *
+ * 规划只依赖种子与区块坐标（使用独立的随机序列），与生成顺序无关；
+ * 每个特征携带自己的随机种子，无论由哪个区块重放都得到相同的方块
+ *
+ * @param {number} cx - 区块X坐标
+ * @param {number} cz - 区块Z坐标
+ * @param {Array} [columns=null] - 已计算的列数据，省略时重新计算
+ * @returns {{features: Array<Object>, entities: {realisticTrees: Array, modGunMan: Array}, pathKeys: Set<string>}}
+ *   pathKeys 为本区块内村庄道路所在的列 "x,z"，这些列不生成单格植被
+ */
+function planFeatures(cx, cz, columns = null) {
+  const genKey = getGenerationKey();
+  if (featureCacheKey !== genKey || featureCache.size > FEATURE_CACHE_LIMIT) {
+    featureCache.clear();
+    featureCacheKey = genKey;
+  }
+  const cacheKey = `${cx},${cz}`;
+  const cached = featureCache.get(cacheKey);
+  if (cached) return cached;
+
+  const rand = createChunkRandom(cx, cz, FEATURE_RANDOM_SALT);
+  const cols = columns || getColumns(cx, cz);
+  const { seaLevel, islandChance, solidClouds, cloudClusterHeight, structureRarity } = getWorldSettings();
+  const features = [];
+  const entities = { realisticTrees: [], modGunMan: [] };
+  const nextSeed = () => Math.floor(rand() * 4294967296) | 0;
+  const addTree = (x, y, z, type, logType = null, leafType = null) => {
+    features.push({ kind: 'tree', x, y, z, type, logType, leafType, seed: nextSeed() });
+  };
+  // 结构：按模板的群系规则逐列判定，可旋转的模板随机选择朝向与镜像
+  const trySpawnStructures = (biome, placement, x, y, z) => {
+    for (const { template, rule } of structureRegistry.getSpawnRules(biome, placement)) {
+      if (rule.maxY !== undefined && y - 1 > rule.maxY) continue;
+      if (rand() >= rule.chance / structureRarity) continue;
+      const rotatable = template.rotatable !== false;
+      const rotation = rotatable ? Math.floor(rand() * 4) : 0;
+      const mirror = rotatable && rand() < 0.5;
+      features.push({ kind: 'structure', name: template.name, x, y, z, rotation, mirror, seed: nextSeed() });
+    }
+  };
+
+  // 村庄：放置锚点位于本区块的建筑与道路，村庄范围内不再生成树木与零散结构
+  const village = getVillageForChunk(cx, cz);
+  const pathKeys = new Set();
+  const inChunk = (x, z) => Math.floor(x / CHUNK_SIZE) === cx && Math.floor(z / CHUNK_SIZE) === cz;
+  if (village) {
+    for (const s of village.structures) {
+      if (inChunk(s.x, s.z)) features.push({ kind: 'structure', ...s });
+    }
+    for (const { x, z } of village.paths) {
+      if (!inChunk(x, z)) continue;
+      // 道路沿地表铺设砂砾，跨越水面时架设木板桥
+      const { h } = cols[(x - cx * CHUNK_SIZE) * CHUNK_SIZE + (z - cz * CHUNK_SIZE)];
+      if (h < seaLevel) features.push({ kind: 'path', x, y: seaLevel, z, type: 'planks' });
+      else features.push({ kind: 'path', x, y: h, z, type: 'gravel' });
+      pathKeys.add(`${x},${z}`);
+    }
+  }
+  const inVillage = (x, z) => village && (x - village.x) ** 2 + (z - village.z) ** 2 < village.radius ** 2;
+  const inArchipelago = addArchipelagoFeatures(cx, cz, features);
+
+  for (let x = 0; x < CHUNK_SIZE; x++) {
+    for (let z = 0; z < CHUNK_SIZE; z++) {
+      const wx = cx * CHUNK_SIZE + x;
+      const wz = cz * CHUNK_SIZE + z;
+      const col = cols[x * CHUNK_SIZE + z];
+      const { biome, h } = col;
+      if (inVillage(wx, wz)) continue;
+
+      if (h < seaLevel) {
+        trySpawnStructures(biome, 'underwater', wx, h + 1, wz);
+        continue;
+      }
+
+      const { surf, snowLine, isShore, isRiverBank, surfaceCarved } = getSurface(wx, wz, col);
+      if (isShore || isRiverBank || surfaceCarved) continue; // 沙滩、河岸和洞口处不生成特征
+
+      if (biome === 'FOREST') {
+        if (rand() < 0.04) {
+          if (rand() < 0.15) {
+            entities.realisticTrees.push({ x: wx, y: h + 1, z: wz });
+          } else {
+            const isYellow = rand() < 0.1;
+            const leafType = isYellow ? 'yellow_leaves' : null;
+            const isBirch = rand() < 0.1;
+            const logType = isBirch ? 'birch_log' : null;
+            addTree(wx, h + 1, wz, 'big', logType, leafType);
+          }
+        }
+      } else if (biome === 'AZALEA') {
+        if (rand() < 0.045) addTree(wx, h + 1, wz, 'azalea');
+      } else if (biome === 'SWAMP') {
+        if (rand() < 0.03) addTree(wx, h + 1, wz, 'swamp');
+      } else if (biome === 'MOUNTAINS') {
+        // 山地：林线（雪线以下 6 格）以下零星云杉
+        if (surf === 'grass' && h < snowLine - 6 && rand() < 0.012) addTree(wx, h + 1, wz, 'spruce');
+      } else if (biome === 'HILLS') {
+        if (surf === 'grass' && rand() < 0.012) addTree(wx, h + 1, wz, rand() < 0.5 ? 'spruce' : 'default');
+      } else if (biome === 'SNOWY_TAIGA') {
+        if (surf === 'snow' && rand() < 0.04) addTree(wx, h + 1, wz, 'spruce');
+      } else if (biome === 'TUNDRA') {
+        if (surf === 'snow' && rand() < 0.002) addTree(wx, h + 1, wz, 'spruce');
+      } else if (biome === 'DESERT') {
+        // 沙漠没有树木，火星车由结构模板中的实体标记生成（见 StructureTemplates）
+      } else {
+        // 模型人只在村庄中生成（见 StructureTemplates 中的实体标记）
+        if (rand() < 0.005) addTree(wx, h + 1, wz, 'default');
+      }
+      trySpawnStructures(biome, 'land', wx, h + 1, wz);
+    }
+  }
+
+  if (rand() < islandChance) {
+    // 浮岛中心可以位于区块内任意位置，越界部分由相邻区块重放；群岛范围内不再生成零散浮岛
+    const x = cx * CHUNK_SIZE + Math.floor(rand() * CHUNK_SIZE);
+    const z = cz * CHUNK_SIZE + Math.floor(rand() * CHUNK_SIZE);
+    const y = 40 + Math.floor(rand() * 30);
+    const seed = nextSeed();
+    if (!inArchipelago(x, z)) features.push({ kind: 'island', x, y, z, seed });
+  }
+  if (rand() < 0.20) {
+    // 可站立的实心云团只在开启 solidClouds 时生成，普通的云由云层渲染（见 CloudLayer.js）
+    const x = cx * CHUNK_SIZE + Math.floor(rand() * CHUNK_SIZE);
+    const z = cz * CHUNK_SIZE + Math.floor(rand() * CHUNK_SIZE);
+    const size = 30 + Math.floor(rand() * 21);
+    const seed = nextSeed();
+    if (solidClouds) features.push({ kind: 'cloudCluster', x, y: cloudClusterHeight, z, size, seed });
+  }
+
+  const plan = { features, entities, pathKeys };
+  featureCache.set(cacheKey, plan);
+  return plan;
+}
+
+/**
+ * 重放本区块及周围 FEATURE_REACH 范围内区块规划的特征，只保留落在本区块内的方块
+ * 越过边界的部分会在相邻区块生成时以同样的方式重放，因此两侧完全吻合；
+ * 先放置树木、浮岛与云团，再放置结构，确保结构覆盖植被
+ * @param {number} cx - 区块X坐标
+ * @param {number} cz - 区块Z坐标
+ * @param {function(number, number): {features: Array<Object>}} getPlan - 按区块坐标获取特征规划
+ * @param {Object} chunk - 目标写入对象
+ * @param {Object} dObj - 数据对象
+ * @returns {Object} 本区块自身的规划
+ */
+function replayFeatures(cx, cz, getPlan, chunk, dObj) {
+  const minX = cx * CHUNK_SIZE, minZ = cz * CHUNK_SIZE;
+  const inChunk = (x, z) => {
+    const bx = Math.floor(x), bz = Math.floor(z);
+    return bx >= minX && bx < minX + CHUNK_SIZE && bz >= minZ && bz < minZ + CHUNK_SIZE;
+  };
+  const clippedChunk = {
+    add: (x, y, z, type, d, solid = true) => {
+      if (inChunk(x, z)) chunk.add(x, y, z, type, d, solid);
+    },
+    addLootChest: (x, y, z, loot) => {
+      if (inChunk(x, z)) chunk.addLootChest(x, y, z, loot);
+    },
+    addEntity: (kind, pos) => {
+      if (inChunk(pos.x, pos.z)) chunk.addEntity(kind, pos);
+    }
+  };
+  const plans = [];
+  for (let dx = -FEATURE_REACH; dx <= FEATURE_REACH; dx++) {
+    for (let dz = -FEATURE_REACH; dz <= FEATURE_REACH; dz++) {
+      plans.push(getPlan(cx + dx, cz + dz));
+    }
+  }
+  for (const plan of plans) {
+    for (const f of plan.features) if (f.kind !== 'structure') placeFeature(f, clippedChunk, dObj);
+  }
+  for (const plan of plans) {
+    for (const f of plan.features) if (f.kind === 'structure') placeFeature(f, clippedChunk, dObj);
+  }
+  return plans[plans.length >> 1];
+}
+
+/**
+ * 生成非噪声地形预设的区块
+ * - 超平坦：按 layers 自下而上堆叠，最上层顶面位于 surfaceY
+ * - 空岛：只有浮岛与云团，原点上空保证有一座出生浮岛
+ * - 虚空：只有原点上空的出生平台
+ */
+function generatePresetChunk(cx, cz, preset, chunk, dObj) {
+  const minX = cx * CHUNK_SIZE, minZ = cz * CHUNK_SIZE;
+
+  if (preset.terrain === 'flat') {
+    const total = preset.layers.reduce((sum, layer) => sum + layer.count, 0);
+    for (let x = minX; x < minX + CHUNK_SIZE; x++) {
+      for (let z = minZ; z < minZ + CHUNK_SIZE; z++) {
+        let y = preset.surfaceY - total + 1;
+        for (const { block, count } of preset.layers) {
+          for (let i = 0; i < count; i++) chunk.add(x, y++, z, block, dObj);
         }
       }
     }
-    const roofMat = Math.random() < 0.5 ? 'dark_planks' : 'oak_planks';
-    const roofBlocks = [];
-    for (let h = 0; h < 3; h++) {
-      for (let i = -2 + h; i <= 2 - h; i++) {
-        for (let j = -2 + h; j <= 2 - h; j++) {
-          chunk.add(x + i, y + 3 + h, z + j, roofMat, dObj);
-          if (h === 2 || Math.abs(i) === 2 - h || Math.abs(j) === 2 - h) {
-            roofBlocks.push({ x: x + i, y: y + 3 + h, z: z + j });
+  }
+
+  if (preset.spawn === 'island') {
+    replayFeatures(cx, cz, (px, pz) => planSkyIslands(px, pz, preset), chunk, dObj);
+  } else if (preset.spawn === 'platform') {
+    const r = preset.platformRadius;
+    for (let x = Math.max(-r, minX); x <= Math.min(r, minX + CHUNK_SIZE - 1); x++) {
+      for (let z = Math.max(-r, minZ); z <= Math.min(r, minZ + CHUNK_SIZE - 1); z++) {
+        chunk.add(x, preset.spawnY, z, preset.platformBlock, dObj);
+      }
+    }
+  }
+}
+
+/**
+ * 规划空岛预设中一个区块的浮岛与云团，原点所在区块固定包含出生浮岛
+ */
+function planSkyIslands(cx, cz, preset) {
+  const rand = createChunkRandom(cx, cz, FEATURE_RANDOM_SALT);
+  const nextSeed = () => Math.floor(rand() * 4294967296) | 0;
+  const features = [];
+  const inArchipelago = addArchipelagoFeatures(cx, cz, features);
+  if (cx === 0 && cz === 0) {
+    features.push({ kind: 'island', x: 0, y: preset.spawnY, z: 0, seed: nextSeed() });
+  } else if (rand() < preset.islandChance) {
+    const x = cx * CHUNK_SIZE + Math.floor(rand() * CHUNK_SIZE);
+    const z = cz * CHUNK_SIZE + Math.floor(rand() * CHUNK_SIZE);
+    const y = 20 + Math.floor(rand() * 50);
+    const seed = nextSeed();
+    if (!inArchipelago(x, z)) features.push({ kind: 'island', x, y, z, seed });
+  }
+  if (rand() < 0.20) {
+    const x = cx * CHUNK_SIZE + Math.floor(rand() * CHUNK_SIZE);
+    const z = cz * CHUNK_SIZE + Math.floor(rand() * CHUNK_SIZE);
+    const size = 30 + Math.floor(rand() * 21);
+    const seed = nextSeed();
+    const { solidClouds, cloudClusterHeight } = getWorldSettings();
+    if (solidClouds) features.push({ kind: 'cloudCluster', x, y: cloudClusterHeight, z, size, seed });
+  }
+  return { features };
+}
+
+/**
+ * 添加所属区域群岛中锚点位于本区块的浮岛与云桥
+ * @param {number} cx - 区块X坐标
+ * @param {number} cz - 区块Z坐标
+ * @param {Array<Object>} features - 本区块的特征列表
+ * @returns {function(number, number): boolean} 判断位置是否在群岛范围内（用于避开零散浮岛）
+ */
+function addArchipelagoFeatures(cx, cz, features) {
+  const archipelago = getArchipelagoForChunk(cx, cz);
+  if (!archipelago) return () => false;
+  const cfg = ARCHIPELAGO_CONFIG;
+  const inChunk = (x, z) => Math.floor(x / CHUNK_SIZE) === cx && Math.floor(z / CHUNK_SIZE) === cz;
+  for (const island of archipelago.islands) {
+    if (!inChunk(island.x, island.z)) continue;
+    features.push({
+      kind: 'island', ...island,
+      treeChance: cfg.TREE_CHANCE, vineChance: cfg.VINE_CHANCE, vineLength: cfg.VINE_LENGTH, loot: cfg.CHEST_LOOT
+    });
+  }
+  for (const { x, y, z } of archipelago.bridges) {
+    if (inChunk(x, z)) features.push({ kind: 'path', x, y, z, type: cfg.BRIDGE_BLOCK });
+  }
+  return (x, z) => (x - archipelago.x) ** 2 + (z - archipelago.z) ** 2 < archipelago.radius ** 2;
+}
+
+/**
+ * 使用特征自带的随机种子放置特征
+ * @param {Object} feature - planFeatures 返回的特征
+ * @param {Object} chunk - 目标写入对象（通常会裁剪到当前区块）
+ * @param {Object} dObj - 数据对象
+ */
+function placeFeature(feature, chunk, dObj) {
+  const rand = createSeededRandom(feature.seed);
+  const { x, y, z } = feature;
+  if (feature.kind === 'path') {
+    chunk.add(x, y, z, feature.type, dObj);
+  } else if (feature.kind === 'tree') {
+    Tree.generate(x, y, z, chunk, feature.type, dObj, feature.logType, feature.leafType, rand);
+  } else if (feature.kind === 'island') {
+    Island.generate(x, y, z, chunk, dObj, rand, feature);
+  } else if (feature.kind === 'cloudCluster') {
+    Cloud.generateCluster(x, y, z, feature.size, chunk, dObj, rand);
+  } else if (feature.kind === 'structure') {
+    structureRegistry.place(feature.name, x, y, z, chunk, dObj, rand, feature);
+  }
+}
+
+/**
+ * 生成 [lo, hi] 之间的一段地下地层：石头 / 深板岩 / 基岩，并雕刻洞穴与房间、放置地牢与矿脉
+ * 初次生成时 hi 为 null，每列从地表下第 2 层开始填充；向下扩展时填充完整的一段
+ */
+function generateStrata(cx, cz, columns, lo, hi, blockMap, chunk, dObj) {
+  let top = hi;
+  if (top === null) {
+    top = -Infinity;
+    for (const col of columns) top = Math.max(top, col.h - 2);
+  }
+  const rooms = generateRooms(cx, cz, lo, top);
+
+  for (let x = 0; x < CHUNK_SIZE; x++) {
+    for (let z = 0; z < CHUNK_SIZE; z++) {
+      const wx = cx * CHUNK_SIZE + x;
+      const wz = cz * CHUNK_SIZE + z;
+      const { h } = columns[x * CHUNK_SIZE + z];
+      const colTop = hi === null ? h - 2 : hi;
+
+      for (let y = colTop; y >= lo; y--) {
+        const type = terrainGen.getStrataBlock(wx, y, wz);
+        // 基岩不参与洞穴和房间雕刻，保证世界底部封闭
+        if (type !== 'bedrock') {
+          let inRoom = false;
+          for (const r of rooms) {
+            if (wx >= r.minX && wx <= r.maxX && wz >= r.minZ && wz <= r.maxZ && y >= r.minY && y <= r.maxY) {
+              inRoom = true;
+              break;
+            }
           }
+          if (inRoom) continue;
+          if (terrainGen.isCave(wx, y, wz, h - y)) continue;
+        }
+        chunk.add(wx, y, wz, type, dObj);
+      }
+    }
+  }
+
+  generateDungeon(cx, cz, columns, lo, hi, blockMap, chunk, dObj);
+  generateOres(cx, cz, columns, lo, top, blockMap, chunk, dObj);
+  generateLava(cx, cz, columns, lo, hi, blockMap, chunk, dObj);
+}
+
+/**
+ * 在 [lo, hi] 范围内随机生成地下房间，数量按段高折算
+ */
+function generateRooms(cx, cz, lo, hi) {
+  const rand = createChunkRandom(cx, cz, ROOM_RANDOM_SALT + lo * 16);
+  const count = Math.round(ROOMS_PER_CHUNK * (hi - lo + 1) / SECTION_HEIGHT);
+  const rooms = [];
+
+  for (let i = 0; i < count; i++) {
+    const rx = Math.floor(rand() * CHUNK_SIZE);
+    const rz = Math.floor(rand() * CHUNK_SIZE);
+    const rw = 2 + Math.floor(rand() * (MAX_ROOM_SIZE - 1));
+    const rh = 2 + Math.floor(rand() * (MAX_ROOM_SIZE - 1));
+    const rd = 2 + Math.floor(rand() * (MAX_ROOM_SIZE - 1));
+    const ry = lo + Math.floor(rand() * Math.max(1, hi - lo - rh));
+    rooms.push({
+      minX: cx * CHUNK_SIZE + rx - Math.floor(rw/2),
+      maxX: cx * CHUNK_SIZE + rx + Math.floor(rw/2),
+      minY: ry,
+      maxY: ry + rh,
+      minZ: cz * CHUNK_SIZE + rz - Math.floor(rd/2),
+      maxZ: cz * CHUNK_SIZE + rz + Math.floor(rd/2)
+    });
+  }
+  return rooms;
+}
+
+/**
+ * 放置所属区域地牢中落在本区块、[lo, hi] 这段地层内的部分
+ * 墙壁只替换已有的岩石，洞穴穿过的地方保持敞开，玩家可以从洞穴中发现地牢
+ * hi 为 null 时与 generateStrata 一致，每列只处理到地表下第 2 层
+ */
+function generateDungeon(cx, cz, columns, lo, hi, blockMap, chunk, dObj) {
+  const dungeon = getDungeonForChunk(cx, cz);
+  if (!dungeon) return;
+  const minX = cx * CHUNK_SIZE, minZ = cz * CHUNK_SIZE;
+  const maxX = minX + CHUNK_SIZE - 1, maxZ = minZ + CHUNK_SIZE - 1;
+  const topOf = (x, z) => hi === null ? columns[(x - minX) * CHUNK_SIZE + (z - minZ)].h - 2 : hi;
+  const inSection = (x, y, z) => x >= minX && x <= maxX && z >= minZ && z <= maxZ && y >= lo && y <= topOf(x, z);
+  // 替换已有的岩石（不替换基岩）
+  const replaceRock = (x, y, z, type) => {
+    const b = blockMap.get(`${x},${y},${z}`);
+    if (b && b.type !== 'bedrock') chunk.add(x, y, z, type, dObj);
+  };
+
+  for (const room of dungeon.rooms) {
+    for (let x = Math.max(room.minX, minX); x <= Math.min(room.maxX, maxX); x++) {
+      for (let z = Math.max(room.minZ, minZ); z <= Math.min(room.maxZ, maxZ); z++) {
+        const colTop = topOf(x, z);
+        for (let y = Math.max(room.minY, lo); y <= Math.min(room.maxY, colTop); y++) {
+          const isShell = x === room.minX || x === room.maxX || z === room.minZ || z === room.maxZ ||
+            y === room.minY || y === room.maxY;
+          if (isShell) replaceRock(x, y, z, getDungeonWallBlock(x, y, z, y === room.minY));
+          else blockMap.delete(`${x},${y},${z}`);
         }
       }
     }
-    for (let j = -1; j <= 1; j++) {
-      chunk.add(x, y + 5, z + j, roofMat, dObj);
-      roofBlocks.push({ x: x, y: y + 5, z: z + j });
+  }
+
+  // 走廊在房间之后开凿，穿过墙壁处形成门洞
+  for (const { x, y, z } of dungeon.corridors) {
+    if (inSection(x, y - 1, z)) replaceRock(x, y - 1, z, 'cobblestone');
+    for (let dy = 0; dy < DUNGEON_CONFIG.CORRIDOR_HEIGHT; dy++) {
+      if (inSection(x, y + dy, z)) blockMap.delete(`${x},${y + dy},${z}`);
+    }
+  }
+
+  for (const room of dungeon.rooms) {
+    for (const { x, y, z, loot } of room.chests) {
+      if (!inSection(x, y, z)) continue;
+      chunk.add(x, y, z, 'chest', dObj);
+      chunk.addLootChest(x, y, z, loot);
+    }
+  }
+}
+
+/**
+ * 按 ORE_TABLE 在 [lo, hi] 这段地层中生成成簇的矿脉
+ * 从起点出发随机游走，只替换当前区块、当前段内已存在的围岩，因此不会填充洞穴或越过区块边界
+ */
+function generateOres(cx, cz, columns, lo, hi, blockMap, chunk, dObj) {
+  const rand = createChunkRandom(cx, cz, ORE_RANDOM_SALT + lo * 16);
+  const minX = cx * CHUNK_SIZE, minZ = cz * CHUNK_SIZE;
+  const steps = [[1, 0, 0], [-1, 0, 0], [0, 1, 0], [0, -1, 0], [0, 0, 1], [0, 0, -1]];
+
+  for (const ore of ORE_TABLE) {
+    const from = Math.max(lo, ore.minY), to = Math.min(hi, ore.maxY);
+    if (from > to) continue;
+    const expected = ore.veinsPerChunk * (to - from + 1) / (ore.maxY - ore.minY + 1);
+    let veins = Math.floor(expected);
+    if (rand() < expected - veins) veins++;
+
+    for (let v = 0; v < veins; v++) {
+      const lx = Math.floor(rand() * CHUNK_SIZE);
+      const lz = Math.floor(rand() * CHUNK_SIZE);
+      const startY = from + Math.floor(rand() * (to - from + 1));
+      const col = columns[lx * CHUNK_SIZE + lz];
+      if (ore.biomes && !ore.biomes.includes(col.biome)) continue;
+
+      let x = minX + lx, y = startY, z = minZ + lz;
+      for (let i = 0; i < ore.veinSize; i++) {
+        const b = blockMap.get(`${x},${y},${z}`);
+        if (b && ORE_HOST_BLOCKS.includes(b.type)) chunk.add(x, y, z, ore.type, dObj);
+
+        // 随机游走到相邻方块，限制在当前区块和当前段内
+        const [dx, dy, dz] = steps[Math.floor(rand() * steps.length)];
+        if (x + dx >= minX && x + dx < minX + CHUNK_SIZE) x += dx;
+        if (z + dz >= minZ && z + dz < minZ + CHUNK_SIZE) z += dz;
+        if (y + dy >= lo && y + dy <= hi) y += dy;
+      }
     }
-    if (Math.random() < 0.33) {
-      const lowerRoofBlocks = roofBlocks.filter(b => b.y < y + 5);
-      const targetPool = lowerRoofBlocks.length > 0 ? lowerRoofBlocks : roofBlocks;
-      if (targetPool.length > 0) {
-        const pos = targetPool[Math.floor(Math.random() * targetPool.length)];
-        chunk.add(pos.x, pos.y + 1, pos.z, 'chimney', dObj, false);
+  }
+}
+
+/**
+ * 在 [lo, hi] 这段地层中放置岩浆：
+ * - 世界底部 LAVA_LEVEL 及以下的洞穴空间全部填满岩浆，形成岩浆湖
+ * - 深层洞穴的底部随机积成一层圆形的岩浆池
+ * 岩浆只填充本区块、本段内的空气，与水相邻时按 LAVA_WATER_RESULT 凝固
+ * hi 为 null 时与 generateStrata 一致，每列只处理到地表下第 2 层
+ */
+function generateLava(cx, cz, columns, lo, hi, blockMap, chunk, dObj) {
+  const minX = cx * CHUNK_SIZE, minZ = cz * CHUNK_SIZE;
+  const topOf = (x, z) => hi === null ? columns[(x - minX) * CHUNK_SIZE + (z - minZ)].h - 2 : hi;
+  const inSection = (x, y, z) => x >= minX && x < minX + CHUNK_SIZE && z >= minZ && z < minZ + CHUNK_SIZE &&
+    y >= lo && y <= topOf(x, z);
+  // 与 World.isWaterAt 一致：海洋、河流与湖泊的水不存为方块，海平面以下、地表以上的空位即为水
+  const { seaLevel } = getWorldSettings();
+  const hasWater = terrainGen.getPreset().water;
+  const heightOf = (x, z) => x >= minX && x < minX + CHUNK_SIZE && z >= minZ && z < minZ + CHUNK_SIZE
+    ? columns[(x - minX) * CHUNK_SIZE + (z - minZ)].h
+    : terrainGen.getColumn(x, z).height;
+  const isWaterAt = (x, y, z) => {
+    const b = blockMap.get(`${x},${y},${z}`);
+    if (b) return isWaterBlock(b.type);
+    return hasWater && y < seaLevel && y > heightOf(x, z);
+  };
+  const placeLava = (x, y, z) => {
+    const touchesWater = FACE_OFFSETS.some(([dx, dy, dz]) => isWaterAt(x + dx, y + dy, z + dz));
+    chunk.add(x, y, z, touchesWater ? LAVA_WATER_RESULT.WATER_ONTO_LAVA : 'lava', dObj, touchesWater);
+  };
+
+  // 岩浆湖：逐格判断，与随机数无关，分段生成时在段边界处无缝衔接
+  for (let x = minX; x < minX + CHUNK_SIZE; x++) {
+    for (let z = minZ; z < minZ + CHUNK_SIZE; z++) {
+      for (let y = lo; y <= Math.min(LAVA_LEVEL, topOf(x, z)); y++) {
+        if (!blockMap.has(`${x},${y},${z}`)) placeLava(x, y, z);
       }
     }
-    chunk.add(x - 1, y, z - 1, 'bookbox', dObj, false);
-    chunk.add(x + 1, y, z - 1, 'chest', dObj);
-  } else if (type === 'rover') {
-    rovers.push({ x, y, z });
-  } else if (type === 'ship') {
-    for (let dz = -3; dz <= 3; dz++) for (let dx = -2; dx <= 2; dx++) {
-      if (Math.abs(dx) === 2 || Math.abs(dz) === 3) {
-        chunk.add(x + dx, y + 1, z + dz, 'wood', dObj);
-        chunk.add(x + dx, y + 2, z + dz, 'planks', dObj);
-      } else {
-        chunk.add(x + dx, y, z + dz, 'planks', dObj);
+  }
+
+  // 岩浆池：从随机起点向下寻找洞穴底部（下方为实心方块的空气），再向四周铺开
+  const rand = createChunkRandom(cx, cz, LAVA_RANDOM_SALT + lo * 16);
+  const from = Math.max(lo + 1, LAVA_LEVEL + 1);
+  const to = Math.min(hi === null ? Infinity : hi, LAVA_POOL_MAX_Y);
+  if (from > to) return;
+  const expected = LAVA_POOLS_PER_CHUNK * (to - from + 1) / SECTION_HEIGHT;
+  let pools = Math.floor(expected);
+  if (rand() < expected - pools) pools++;
+
+  const isFloor = (x, y, z) => {
+    if (!inSection(x, y, z) || blockMap.has(`${x},${y},${z}`)) return false;
+    const below = blockMap.get(`${x},${y - 1},${z}`);
+    return !!below && below.solid;
+  };
+  for (let p = 0; p < pools; p++) {
+    const x = minX + Math.floor(rand() * CHUNK_SIZE);
+    const z = minZ + Math.floor(rand() * CHUNK_SIZE);
+    const radius = LAVA_POOL_RADIUS[0] + Math.floor(rand() * (LAVA_POOL_RADIUS[1] - LAVA_POOL_RADIUS[0] + 1));
+    let y = from + Math.floor(rand() * (to - from + 1));
+    while (y >= from && !isFloor(x, y, z)) y--;
+    if (y < from) continue;
+
+    for (let dx = -radius; dx <= radius; dx++) {
+      for (let dz = -radius; dz <= radius; dz++) {
+        if (dx * dx + dz * dz > radius * radius) continue;
+        if (isFloor(x + dx, y, z + dz)) placeLava(x + dx, y, z + dz);
       }
     }
-    for (let i = 0; i < 5; i++) chunk.add(x, y + i, z, 'wood', dObj);
-    chunk.add(x, y + 1, z + 2, 'chest', dObj);
+  }
+}
+
+/**
+ * 海床植被：浅海生长海草和珊瑚，较深处生长成串的海带
+ * 植被全部位于水下，顶端至少低于海平面一格
+ */
+function generateSeafloorPlants(x, h, z, depth, biome, chunk, dObj, rand) {
+  const r = rand();
+  if (depth >= 5 && r < 0.05) {
+    // 海带：从海床向上生长，长度随机但不超出水面
+    const length = 2 + Math.floor(rand() * (depth - 3));
+    for (let i = 1; i <= length; i++) chunk.add(x, h + i, z, 'kelp', dObj, false);
+  } else if (biome === 'OCEAN' && depth >= 3 && depth <= 10 && r < 0.08) {
+    // 珊瑚礁只出现在浅海：替换海床表层，顶部长出珊瑚扇
+    chunk.add(x, h, z, CORAL_BLOCKS[Math.floor(rand() * CORAL_BLOCKS.length)], dObj);
+    if (rand() < 0.6) chunk.add(x, h + 1, z, 'coral_fan', dObj, false);
+  } else if (depth >= 2 && r < 0.2) {
+    chunk.add(x, h + 1, z, 'seagrass', dObj, false);
   }
 }
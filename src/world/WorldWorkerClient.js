@@ -0,0 +1,99 @@
+// src/world/WorldWorkerClient.js
+/**
+ * WorldWorker 客户端
+ * 使用 Web Worker 池处理计算密集型的地形生成，避免阻塞主线程（UI/渲染线程）。
+ * 区块 (Chunk) 的生成 / 合并与远景 LOD 区块 (LodChunk) 共用同一个 Worker 池：
+ * - 每个任务带有递增的请求 ID，Worker 在结果中原样返回，据此找到对应的回调
+ * - 任务发给未完成任务最少的 Worker，不同区块的任务可以并行
+ * - 任务按键排序：区块为 "cx,cz"，LOD 区块为 "lod:步长:cx,cz"。同一键的结果按发送顺序依次回调，
+ *   先返回的后发任务会等待之前的任务，保证同一区块的生成与合并结果按顺序应用
+ * - 生成失败的任务同样按顺序回调，结果为 {requestId, error}，由调用方丢弃或重新排队
+ */
+
+/**
+ * Worker 池参数
+ * - SIZE: Worker 数量，按逻辑核心数留出一个给主线程；出错被移除的 Worker 在下次发送任务时补上
+ */
+export const WORKER_POOL_CONFIG = {
+  SIZE: Math.max(1, Math.min(4, (navigator.hardwareConcurrency || 2) - 1))
+};
+
+const workers = [];             // {worker, requests}：requests 为已发送、尚未返回的请求 ID
+const jobs = new Map();         // 请求 ID -> {key, callback, data}，data 为已返回但尚未回调的结果
+const jobOrder = new Map();     // 任务键 -> 按发送顺序排列的请求 ID
+let nextRequestId = 1;
+
+/**
+ * 创建一个 Worker 并加入池中
+ */
+function addWorker() {
+  const entry = { worker: new Worker(new URL('./WorldWorker.js', import.meta.url), { type: 'module' }), requests: new Set() };
+  entry.worker.onmessage = (e) => {
+    if (!entry.requests.delete(e.data.requestId)) return;
+    onJobResult(e.data);
+  };
+  // 生成出错时 Worker 会回复 error；走到这里说明 Worker 本身出错（如脚本加载失败），其上所有请求都不会再返回。
+  // 终止并移出池，否则空闲的坏 Worker 会一直优先接到新任务；下次发送任务时再补足池的大小
+  entry.worker.onerror = (e) => {
+    console.error('WorldWorker Error:', e);
+    entry.worker.terminate();
+    workers.splice(workers.indexOf(entry), 1);
+    const error = e.message || 'WorldWorker error';
+    const requests = [...entry.requests];
+    entry.requests.clear();
+    requests.forEach(requestId => onJobResult({ requestId, error }));
+  };
+  workers.push(entry);
+}
+
+/**
+ * 记录任务结果，并按发送顺序回调同一键中已完成的任务
+ * @param {Object} data - Worker 返回的结果，带有请求 ID；失败时为 {requestId, error}
+ */
+function onJobResult(data) {
+  const job = jobs.get(data.requestId);
+  if (!job) return; // 已取消
+  job.data = data;
+
+  const order = jobOrder.get(job.key);
+  while (order.length > 0 && jobs.get(order[0]).data) {
+    const id = order.shift();
+    const { callback, data: result } = jobs.get(id);
+    // 先移除再回调，回调中可以为同一区块发起新的请求
+    jobs.delete(id);
+    if (order.length === 0) jobOrder.delete(job.key);
+    callback(result);
+  }
+}
+
+/**
+ * 向 WorldWorker 池发送任务
+ * @param {string} key - 任务键，同一键的结果按发送顺序回调
+ * @param {Object} message - 发送给 Worker 的请求
+ * @param {function(Object): void} callback - 收到结果时调用，生成失败时结果带有 error 字段
+ */
+export function postWorldJob(key, message, callback) {
+  while (workers.length < WORKER_POOL_CONFIG.SIZE) addWorker();
+
+  const requestId = nextRequestId++;
+  jobs.set(requestId, { key, callback, data: null });
+  if (!jobOrder.has(key)) jobOrder.set(key, []);
+  jobOrder.get(key).push(requestId);
+
+  // 发给未完成任务最少的 Worker
+  const entry = workers.reduce((a, b) => (b.requests.size < a.requests.size ? b : a));
+  entry.requests.add(requestId);
+  entry.worker.postMessage({ ...message, requestId });
+}
+
+/**
+ * 取消该键所有尚未返回的任务：Worker 仍会完成计算，但结果被丢弃
+ * @param {string} key - 任务键
+ */
+export function cancelWorldJob(key) {
+  const order = jobOrder.get(key);
+  if (!order) return;
+  order.forEach(id => jobs.delete(id));
+  order.length = 0; // 可能在 onJobResult 按顺序回调的过程中取消，清空后回调循环随之结束
+  jobOrder.delete(key);
+}
@@ -0,0 +1,144 @@
+// src/world/effects/CloudLayer.js
+// 体积云层
+// 云不再写入区块数据，而是由独立的渲染层绘制：若干层叠的水平切片共同采样同一个随风移动的三维密度场，
+// 形成有厚度的云。云层跟随相机平移、按世界坐标采样，因此与区块的加载 / 卸载无关
+import * as THREE from 'three';
+import { getSeedInt, getWorldSettings } from '../../utils/MathUtils.js';
+
+/**
+ * 云层参数
+ * 高度 (cloudHeight) 与云量 (cloudCoverage) 属于世界设置，见 constants/WorldSettings.js
+ */
+export const CLOUD_CONFIG = {
+  SIZE: 400,                   // 云层平面边长，边缘按 FADE_RADIUS 淡出
+  FADE_RADIUS: [110, 180],     // 水平距离淡出范围，远端小于相机远裁剪面 (200)
+  SLICES: 6,                   // 切片数量，越多越接近连续的体积
+  THICKNESS: 6,                // 云层厚度（方块）
+  SCALE: 0.012,                // 密度场频率，越小云朵越大
+  WIND: [1.2, 0.4],            // 风速（方块/秒），X / Z 方向
+  OPACITY: 0.55,               // 单层切片的最大不透明度
+  LIT_COLOR: 0xffffff,         // 云顶受光颜色
+  SHADE_COLOR: 0xc5cfdc        // 云底阴影颜色
+};
+
+/**
+ * 体积云层
+ * 在 Engine 中创建，每帧调用 update 同步相机位置、风的偏移与世界设置
+ */
+export class CloudLayer {
+  /**
+   * @param {THREE.Scene} scene - 场景
+   */
+  constructor(scene) {
+    const cfg = CLOUD_CONFIG;
+    this.clock = new THREE.Clock();
+    this.group = new THREE.Group();
+    this.material = new THREE.ShaderMaterial({
+      uniforms: {
+        uWind: { value: new THREE.Vector2() },
+        uCoverage: { value: getWorldSettings().cloudCoverage },
+        uSeedOffset: { value: new THREE.Vector2() },
+        uScale: { value: cfg.SCALE },
+        uOpacity: { value: cfg.OPACITY },
+        uFadeNear: { value: cfg.FADE_RADIUS[0] },
+        uFadeFar: { value: cfg.FADE_RADIUS[1] },
+        uLitColor: { value: new THREE.Color(cfg.LIT_COLOR) },
+        uShadeColor: { value: new THREE.Color(cfg.SHADE_COLOR) }
+      },
+      vertexShader: `
+        attribute float slice;
+        varying vec3 vWorldPosition;
+        varying float vSlice;
+        void main() {
+          vec4 worldPosition = modelMatrix * vec4(position, 1.0);
+          vWorldPosition = worldPosition.xyz;
+          vSlice = slice;
+          gl_Position = projectionMatrix * viewMatrix * worldPosition;
+        }
+      `,
+      fragmentShader: `
+        uniform vec2 uWind;
+        uniform float uCoverage;
+        uniform vec2 uSeedOffset;
+        uniform float uScale;
+        uniform float uOpacity;
+        uniform float uFadeNear;
+        uniform float uFadeFar;
+        uniform vec3 uLitColor;
+        uniform vec3 uShadeColor;
+        varying vec3 vWorldPosition;
+        varying float vSlice;
+
+        float hash(vec2 p) {
+          return fract(sin(dot(p, vec2(127.1, 311.7))) * 43758.5453);
+        }
+
+        float valueNoise(vec2 p) {
+          vec2 i = floor(p), f = fract(p);
+          vec2 u = f * f * (3.0 - 2.0 * f);
+          return mix(mix(hash(i), hash(i + vec2(1.0, 0.0)), u.x),
+                     mix(hash(i + vec2(0.0, 1.0)), hash(i + vec2(1.0, 1.0)), u.x), u.y);
+        }
+
+        float density(vec2 p) {
+          float sum = 0.0, amp = 0.5;
+          for (int i = 0; i < 4; i++) {
+            sum += valueNoise(p) * amp;
+            p *= 2.03;
+            amp *= 0.5;
+          }
+          return sum / 0.9375;
+        }
+
+        void main() {
+          float d = density((vWorldPosition.xz - uWind) * uScale + uSeedOffset);
+          // 云量越大阈值越低；越靠近上下表面阈值越高，使云朵中间厚、边缘薄
+          float profile = abs(vSlice * 2.0 - 1.0);
+          float threshold = mix(0.75, 0.3, uCoverage) + profile * profile * 0.12;
+          float alpha = smoothstep(threshold, threshold + 0.08, d) * uOpacity;
+
+          float dist = length(vWorldPosition.xz - cameraPosition.xz);
+          alpha *= 1.0 - smoothstep(uFadeNear, uFadeFar, dist);
+          if (alpha < 0.01) discard;
+
+          vec3 color = mix(uShadeColor, uLitColor, vSlice);
+          gl_FragColor = vec4(color, alpha);
+        }
+      `,
+      transparent: true,
+      depthWrite: false,
+      side: THREE.DoubleSide,
+      fog: false
+    });
+
+    // 每个切片是一个独立的网格，透明物体按距离排序后自下而上（或自上而下）正确叠加
+    for (let i = 0; i < cfg.SLICES; i++) {
+      const geometry = new THREE.PlaneGeometry(cfg.SIZE, cfg.SIZE);
+      const t = cfg.SLICES > 1 ? i / (cfg.SLICES - 1) : 0;
+      geometry.setAttribute('slice', new THREE.Float32BufferAttribute(new Array(geometry.attributes.position.count).fill(t), 1));
+      const mesh = new THREE.Mesh(geometry, this.material);
+      mesh.rotation.x = -Math.PI / 2;
+      mesh.position.y = t * cfg.THICKNESS;
+      mesh.frustumCulled = false;
+      this.group.add(mesh);
+    }
+    scene.add(this.group);
+  }
+
+  /**
+   * 每帧更新：云层跟随相机，按风速漂移，并同步云层高度、云量与种子
+   * @param {THREE.Camera} camera - 当前相机
+   */
+  update(camera) {
+    const { cloudHeight, cloudCoverage } = getWorldSettings();
+    const elapsed = this.clock.getElapsedTime();
+    const uniforms = this.material.uniforms;
+    uniforms.uWind.value.set(CLOUD_CONFIG.WIND[0] * elapsed, CLOUD_CONFIG.WIND[1] * elapsed);
+    uniforms.uCoverage.value = cloudCoverage;
+    // 不同种子的世界云的分布不同
+    const seed = getSeedInt();
+    uniforms.uSeedOffset.value.set((seed & 0xffff) / 97, ((seed >>> 16) & 0xffff) / 89);
+    this.group.position.set(camera.position.x, cloudHeight, camera.position.z);
+    this.group.visible = cloudCoverage > 0;
+  }
+}
@@ -1,14 +1,15 @@
 // src/world/entities/Cloud.js
-// 云生成模块
-// 提供云方块的生成功能
+// 实心云团生成模块
+// 普通的云由体积云层渲染（见 effects/CloudLayer.js），不写入区块；
+// 只有开启世界设置 solidClouds 时，才在区块中生成可站立的云块（cloud_block）云团
 
 /**
  * 云生成器类
- * 提供静态方法用于生成云方块
+ * 提供静态方法用于生成实心云块
  */
 export class Cloud {
   /**
-   * 在指定位置生成云方块
+   * 在指定位置生成实心云块
    * @param {number} x - X坐标
    * @param {number} y - Y坐标
    * @param {number} z - Z坐标
@@ -16,7 +17,7 @@ export class Cloud {
    * @param {Object} [dObj=null] - 可选的数据对象
    */
   static generate(x, y, z, chunk, dObj = null) {
-    chunk.add(x, y, z, 'cloud', dObj);
+    chunk.add(x, y, z, 'cloud_block', dObj);
   }
 
   /**
@@ -27,15 +28,16 @@ export class Cloud {
    * @param {number} size - 方块数量 (20-40)
    * @param {Chunk} chunk - 当前区块对象
    * @param {Object} dObj - 数据对象
+   * @param {function(): number} [rand=Math.random] - 随机数生成器（世界生成时传入带种子的版本）
    */
-  static generateCluster(startX, y, startZ, size, chunk, dObj) {
+  static generateCluster(startX, y, startZ, size, chunk, dObj, rand = Math.random) {
     const cloudBlocks = new Set();
     const frontier = [[startX, startZ]];
     const key = (x, z) => `${x},${z}`;
 
     while (cloudBlocks.size < size && frontier.length > 0) {
       // 随机选择一个边缘位置进行扩展，确保紧密相连
-      const idx = Math.floor(Math.random() * frontier.length);
+      const idx = Math.floor(rand() * frontier.length);
       const [cx, cz] = frontier.splice(idx, 1)[0];
       const k = key(cx, cz);
 
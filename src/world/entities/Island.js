@@ -15,16 +15,26 @@ export class Island {
    * @param {number} cz - 岛屿中心Z坐标
    * @param {Chunk} chunk - 目标区块对象
    * @param {Object} [dObj=null] - 可选的数据对象
+   * @param {function(): number} [rand=Math.random] - 随机数生成器（世界生成时传入带种子的版本）
+   * @param {Object} [options={}] - 群岛浮岛的参数（见 ArchipelagoGen.js），省略时为零散浮岛
+   * @param {number} [options.radius] - 顶面半径，省略时随机 5-9
+   * @param {number} [options.height] - 厚度，省略时随机 5-7
+   * @param {number} [options.treeChance=0.1] - 顶面每格生长天空树的概率
+   * @param {number} [options.vineChance=0] - 顶面边缘每格垂下藤蔓的概率
+   * @param {number[]} [options.vineLength] - 藤蔓长度范围 [最短, 最长]
+   * @param {string} [options.loot] - 宝箱战利品表，省略时为普通宝箱（按高度决定掉落）
    */
-  static generate(cx, cy, cz, chunk, dObj = null) {
+  static generate(cx, cy, cz, chunk, dObj = null, rand = Math.random, options = {}) {
     // 随机生成岛屿半径和高度
-    const radius = 5 + Math.floor(Math.random() * 5);
-    const height = 5 + Math.floor(Math.random() * 3);
+    const radius = options.radius !== undefined ? options.radius : 5 + Math.floor(rand() * 5);
+    const height = options.height !== undefined ? options.height : 5 + Math.floor(rand() * 3);
+    const treeChance = options.treeChance !== undefined ? options.treeChance : 0.1;
+    const layerRadius = (y) => Math.floor(radius * Math.pow(y / height, 0.7));
 
     // 从底部到顶部逐层生成岛屿
     for (let y = 0; y <= height; y++) {
       // 计算当前层的半径（随着高度增加而减小）
-      const r = Math.floor(radius * Math.pow(y / height, 0.7));
+      const r = layerRadius(y);
 
       // 在当前层内生成圆形区域
       for (let dx = -r; dx <= r; dx++) {
@@ -35,14 +45,34 @@ export class Island {
             chunk.add(cx + dx, cy + y, cz + dz, type, dObj);
 
             // 在顶部随机生成天空树
-            if (y === height && Math.random() < 0.1) {
-              Tree.generate(cx + dx, cy + y + 1, cz + dz, chunk, 'skyTree', dObj);
+            if (y === height && rand() < treeChance) {
+              Tree.generate(cx + dx, cy + y + 1, cz + dz, chunk, 'skyTree', dObj, null, null, rand);
             }
           }
         }
       }
     }
+
+    // 顶面边缘向下垂落的藤蔓：只悬挂在下方各层范围之外的格子，不穿入岛体
+    if (options.vineChance) {
+      const [minLength, maxLength] = options.vineLength;
+      for (let dx = -radius; dx <= radius; dx++) {
+        for (let dz = -radius; dz <= radius; dz++) {
+          const d2 = dx * dx + dz * dz;
+          if (d2 > radius * radius || d2 <= (radius - 1) * (radius - 1)) continue;
+          if (rand() >= options.vineChance) continue;
+          const length = minLength + Math.floor(rand() * (maxLength - minLength + 1));
+          for (let i = 1; i <= length; i++) {
+            const r = layerRadius(height - i);
+            if (height - i >= 0 && d2 <= r * r) break;
+            chunk.add(cx + dx, cy + height - i, cz + dz, 'vine', dObj, false);
+          }
+        }
+      }
+    }
+
     // 在岛屿顶部中心生成宝箱
     chunk.add(cx, cy + height + 1, cz, 'chest', dObj);
+    if (options.loot) chunk.addLootChest(cx, cy + height + 1, cz, options.loot);
   }
 }
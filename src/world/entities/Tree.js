@@ -1,6 +1,6 @@
 // src/world/entities/Tree.js
 // 多种树木类型生成模块
-// 提供多种树木类型生成器（默认、天空树、大型、杜鹃花、沼泽树）
+// 提供多种树木类型生成器（默认、天空树、大型、杜鹃花、沼泽树、云杉）
 
 import { getBlockProperties } from '../../constants/BlockData.js';
 
@@ -15,12 +15,13 @@ export class Tree {
    * @param {number} y - Y坐标（底部）
    * @param {number} z - Z坐标
    * @param {Chunk} chunk - 目标区块对象
-   * @param {string} [type='default'] - 树木类型：'default'、'skyTree'、'big'、'azalea'、'swamp'
+   * @param {string} [type='default'] - 树木类型：'default'、'skyTree'、'big'、'azalea'、'swamp'、'spruce'
    * @param {Object} [dObj=null] - 可选的数据对象
    * @param {string} [customLogType=null] - 可选的自定义树干类型
    * @param {string} [customLeafType=null] - 可选的自定义树叶类型
+   * @param {function(): number} [rand=Math.random] - 随机数生成器（世界生成时传入带种子的版本）
    */
-  static generate(x, y, z, chunk, type = 'default', dObj = null, customLogType = null, customLeafType = null) {
+  static generate(x, y, z, chunk, type = 'default', dObj = null, customLogType = null, customLeafType = null, rand = Math.random) {
     const blocks = [];
 
     // 默认树木或天空树
@@ -36,7 +37,7 @@ export class Tree {
         for (let ly = y + 2; ly <= y + 4; ly++) {
           for (let lz = z - 2; lz <= z + 2; lz++) {
             // 避免在树干中心位置生成树叶（除非在顶部以上），并随机稀疏化
-            if ((lx !== x || lz !== z || ly > y + 3) && Math.random() > 0.3) {
+            if ((lx !== x || lz !== z || ly > y + 3) && rand() > 0.3) {
               blocks.push({ x: lx, y: ly, z: lz, type: lT });
             }
           }
@@ -44,7 +45,7 @@ export class Tree {
       }
     } else if (type === 'big') {
       // 大型树木：随机高度6-13格
-      const h = 6 + Math.floor(Math.random() * 8);
+      const h = 6 + Math.floor(rand() * 8);
       const logMat = customLogType || 'wood';
       const leafMat = customLeafType || 'leaves';
       for (let i = 0; i < h; i++) blocks.push({ x, y: y + i, z, type: logMat });
@@ -59,7 +60,7 @@ export class Tree {
       }
     } else if (type === 'azalea') {
       // 杜鹃花树：高度4-6格
-      const h = 4 + Math.floor(Math.random() * 3);
+      const h = 4 + Math.floor(rand() * 3);
       for (let i = 0; i < h; i++) blocks.push({ x, y: y + i, z, type: 'azalea_log' });
 
       // 在树干顶部生成类似森林树木的簇状树叶
@@ -70,8 +71,8 @@ export class Tree {
             if (lx !== x || lz !== z || ly >= y + h) {
               // 边缘随机稀疏化，使其看起来更自然
               const dist = Math.abs(lx - x) + Math.abs(lz - z);
-              if (dist <= 2 && Math.random() > 0.2) {
-                const leafType = Math.random() < 0.3 ? 'azalea_flowers' : 'azalea_leaves';
+              if (dist <= 2 && rand() > 0.2) {
+                const leafType = rand() < 0.3 ? 'azalea_flowers' : 'azalea_leaves';
                 blocks.push({ x: lx, y: ly, z: lz, type: leafType });
               }
             }
@@ -80,7 +81,7 @@ export class Tree {
       }
     } else if (type === 'swamp') {
       // 沼泽树：高度5-8格
-      const h = 5 + Math.floor(Math.random() * 4);
+      const h = 5 + Math.floor(rand() * 4);
       const logMat = customLogType || 'wood';
       for (let i = 0; i < h; i++) blocks.push({ x, y: y + i, z, type: logMat });
 
@@ -93,12 +94,32 @@ export class Tree {
             blocks.push({ x: lx, y: y + h, z: lz, type: 'leaves' });
 
             // 在外围随机生成藤蔓
-            if (Math.random() < 0.3 && Math.abs(lx - x) > 1) {
+            if (rand() < 0.3 && Math.abs(lx - x) > 1) {
               for (let v = 1; v <= 3; v++) blocks.push({ x: lx, y: y + h - 1 - v, z: lz, type: 'vine', solid: false });
             }
           }
         }
       }
+    } else if (type === 'spruce') {
+      // 云杉：高度6-9格，锥形树冠
+      const h = 6 + Math.floor(rand() * 4);
+      const logMat = customLogType || 'wood';
+      const leafMat = customLeafType || 'spruce_leaves';
+      for (let i = 0; i < h; i++) blocks.push({ x, y: y + i, z, type: logMat });
+
+      // 自顶向下逐层加宽，半径在 1、2 之间交替，形成层叠的锥形
+      for (let ly = y + 2; ly <= y + h; ly++) {
+        const fromTop = y + h - ly;
+        const r = fromTop <= 1 ? fromTop : (fromTop % 2 === 0 ? 2 : 1);
+        for (let lx = x - r; lx <= x + r; lx++) {
+          for (let lz = z - r; lz <= z + r; lz++) {
+            if (lx === x && lz === z && ly < y + h) continue;
+            // 削去外层四角，让树冠更圆润
+            if (r === 2 && Math.abs(lx - x) === 2 && Math.abs(lz - z) === 2) continue;
+            blocks.push({ x: lx, y: ly, z: lz, type: leafMat });
+          }
+        }
+      }
     }
 
     this._addOptimized(chunk, blocks, dObj);
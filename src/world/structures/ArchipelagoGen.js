@@ -0,0 +1,163 @@
+// src/world/structures/ArchipelagoGen.js
+/**
+ * 天空群岛生成模块
+ *
+ * 世界按 REGION_CHUNKS × REGION_CHUNKS 个区块划分为区域，每个区域至多一片群岛。
+ * 群岛由若干聚集在高空的浮岛组成，每座浮岛与它分出的上一座浮岛之间以云桥相连，
+ * 浮岛上生长天空树、边缘垂下藤蔓，岛顶中心放置天域宝箱。
+ * 规划只由种子与区域坐标决定：浮岛由中心所在的区块放置，云桥逐格由所在区块放置
+ */
+import { createChunkRandom, getGenerationKey, getWorldSettings } from '../../utils/MathUtils.js';
+import { terrainGen } from '../TerrainGen.js';
+
+const CHUNK_SIZE = 16;
+
+/**
+ * 群岛参数
+ * 浮岛半径加树冠不超过一个区块，保证越界部分可以由相邻区块重放
+ */
+export const ARCHIPELAGO_CONFIG = {
+  REGION_CHUNKS: 8,          // 区域边长（区块）
+  CHANCE: 0.3,               // 每个区域生成群岛的概率
+  MARGIN: 24,                // 浮岛中心距区域边缘的最小距离，保证整片群岛位于所属区域内
+  ISLANDS_MIN: 3,
+  ISLANDS_MAX: 6,
+  ISLAND_RADIUS: [5, 9],     // 浮岛顶面半径范围
+  ISLAND_HEIGHT: [5, 7],     // 浮岛厚度范围
+  ISLAND_SPACING: [6, 12],   // 相邻浮岛边缘之间的水平距离范围（云桥长度）
+  PLACE_ATTEMPTS: 8,         // 每座浮岛寻找位置的尝试次数
+  BASE_Y: [78, 92],          // 群岛底部高度范围，位于云层与零散浮岛之上
+  Y_JITTER: 3,               // 每座浮岛相对群岛高度的起伏，使云桥坡度不超过 1 格 / 格
+  TERRAIN_CLEARANCE: 12,     // 浮岛底部距下方地表的最小高度
+  BRIDGE_WIDTH: 1,           // 云桥中线两侧的宽度
+  BRIDGE_BLOCK: 'cloud_block',
+  TREE_CHANCE: 0.06,         // 浮岛顶面每格生长天空树的概率
+  VINE_CHANCE: 0.35,         // 浮岛边缘每格垂下藤蔓的概率
+  VINE_LENGTH: [2, 6],
+  CHEST_LOOT: 'sky'          // 宝箱战利品表（见 LootTables.js）
+};
+
+/** 群岛规划使用的随机序列盐值（按区域坐标区分） */
+const ARCHIPELAGO_RANDOM_SALT = 0x5c1a;
+/** 群岛规划缓存上限（区域） */
+const ARCHIPELAGO_CACHE_LIMIT = 64;
+
+const archipelagoCache = new Map();
+let archipelagoCacheKey = null;
+
+/**
+ * 获取指定区块所属区域的群岛规划
+ * @param {number} cx - 区块X坐标
+ * @param {number} cz - 区块Z坐标
+ * @returns {Object|null} 群岛规划，区域内没有群岛时返回 null
+ */
+export function getArchipelagoForChunk(cx, cz) {
+  return getArchipelago(Math.floor(cx / ARCHIPELAGO_CONFIG.REGION_CHUNKS), Math.floor(cz / ARCHIPELAGO_CONFIG.REGION_CHUNKS));
+}
+
+/**
+ * 获取指定区域的群岛规划（带缓存）
+ *
+ * islands 中的 y 为浮岛底部高度，顶面位于 y + height；
+ * bridges 为云桥经过的格子，每格在 y 处放置一个云块，与两端浮岛的顶面齐平
+ *
+ * @param {number} rx - 区域X坐标
+ * @param {number} rz - 区域Z坐标
+ * @returns {{x: number, z: number, radius: number, islands: Array<{x: number, y: number, z: number, radius: number, height: number, seed: number}>, bridges: Array<{x: number, y: number, z: number}>}|null}
+ *   x / z / radius 为包含整片群岛的圆，范围内不再生成零散浮岛
+ */
+export function getArchipelago(rx, rz) {
+  const genKey = getGenerationKey();
+  if (archipelagoCacheKey !== genKey || archipelagoCache.size > ARCHIPELAGO_CACHE_LIMIT) {
+    archipelagoCache.clear();
+    archipelagoCacheKey = genKey;
+  }
+  const key = `${rx},${rz}`;
+  if (!archipelagoCache.has(key)) archipelagoCache.set(key, planArchipelago(rx, rz));
+  return archipelagoCache.get(key);
+}
+
+/**
+ * 规划一个区域内的群岛：第一座浮岛位于区域内随机位置，之后每座浮岛从已有浮岛旁分出并以云桥相连
+ * @private
+ */
+function planArchipelago(rx, rz) {
+  const cfg = ARCHIPELAGO_CONFIG;
+  const rand = createChunkRandom(rx, rz, ARCHIPELAGO_RANDOM_SALT);
+  if (rand() >= cfg.CHANCE / getWorldSettings().structureRarity) return null;
+
+  const regionSize = cfg.REGION_CHUNKS * CHUNK_SIZE;
+  const regionX = rx * regionSize, regionZ = rz * regionSize;
+  const randInt = ([lo, hi]) => lo + Math.floor(rand() * (hi - lo + 1));
+  const nextSeed = () => Math.floor(rand() * 4294967296) | 0;
+  const baseY = randInt(cfg.BASE_Y);
+
+  // 在 (x, z) 放置一座浮岛，越界、与已有浮岛重叠或离地表过近时返回 null
+  const makeIsland = (x, z, islands) => {
+    const radius = randInt(cfg.ISLAND_RADIUS);
+    const height = randInt(cfg.ISLAND_HEIGHT);
+    const y = baseY + randInt([-cfg.Y_JITTER, cfg.Y_JITTER]);
+    if (x < regionX + cfg.MARGIN || x >= regionX + regionSize - cfg.MARGIN) return null;
+    if (z < regionZ + cfg.MARGIN || z >= regionZ + regionSize - cfg.MARGIN) return null;
+    if (islands.some(o => Math.hypot(o.x - x, o.z - z) < o.radius + radius + cfg.ISLAND_SPACING[0])) return null;
+    if (terrainGen.getColumn(x, z).height > y - cfg.TERRAIN_CLEARANCE) return null;
+    return { x, y, z, radius, height, seed: nextSeed() };
+  };
+
+  const islands = [];
+  const bridges = new Map(); // "x,z" -> {x, y, z}
+  const first = makeIsland(
+    regionX + cfg.MARGIN + Math.floor(rand() * (regionSize - cfg.MARGIN * 2)),
+    regionZ + cfg.MARGIN + Math.floor(rand() * (regionSize - cfg.MARGIN * 2)),
+    islands
+  );
+  if (!first) return null;
+  islands.push(first);
+
+  const islandCount = randInt([cfg.ISLANDS_MIN, cfg.ISLANDS_MAX]);
+  for (let i = 1; i < islandCount; i++) {
+    for (let attempt = 0; attempt < cfg.PLACE_ATTEMPTS; attempt++) {
+      const from = islands[Math.floor(rand() * islands.length)];
+      const angle = rand() * Math.PI * 2;
+      // 预估新浮岛取最大半径，实际半径更小时云桥相应变长
+      const dist = from.radius + cfg.ISLAND_RADIUS[1] + cfg.ISLAND_SPACING[0] + rand() * (cfg.ISLAND_SPACING[1] - cfg.ISLAND_SPACING[0]);
+      const island = makeIsland(Math.round(from.x + Math.cos(angle) * dist), Math.round(from.z + Math.sin(angle) * dist), islands);
+      if (!island) continue;
+      islands.push(island);
+      addBridge(from, island, bridges);
+      break;
+    }
+  }
+
+  // 包含整片群岛的圆：以各浮岛中心的平均位置为圆心
+  const x = Math.round(islands.reduce((sum, o) => sum + o.x, 0) / islands.length);
+  const z = Math.round(islands.reduce((sum, o) => sum + o.z, 0) / islands.length);
+  const radius = Math.max(...islands.map(o => Math.hypot(o.x - x, o.z - z) + o.radius)) + 2;
+  return { x, z, radius, islands, bridges: [...bridges.values()] };
+}
+
+/**
+ * 在两座浮岛的顶面之间架设云桥：沿中心连线逐格前进，高度在两端顶面之间线性过渡，
+ * 每前进一格最多升降一层；位于浮岛顶面范围内的格子不放置云块
+ * @private
+ */
+function addBridge(from, to, bridges) {
+  const width = ARCHIPELAGO_CONFIG.BRIDGE_WIDTH;
+  const fromTop = from.y + from.height, toTop = to.y + to.height;
+  const dx = to.x - from.x, dz = to.z - from.z;
+  const steps = Math.max(Math.abs(dx), Math.abs(dz));
+  const alongX = Math.abs(dx) >= Math.abs(dz);
+  const onIsland = (x, z) => [from, to].some(o => (x - o.x) ** 2 + (z - o.z) ** 2 <= (o.radius - 1) ** 2);
+
+  for (let i = 0; i <= steps; i++) {
+    const t = i / steps;
+    const cx = Math.round(from.x + dx * t), cz = Math.round(from.z + dz * t);
+    const y = Math.round(fromTop + (toTop - fromTop) * t);
+    // 沿主轴前进时向垂直方向加宽
+    for (let w = -width; w <= width; w++) {
+      const x = alongX ? cx : cx + w, z = alongX ? cz + w : cz;
+      if (onIsland(x, z) || bridges.has(`${x},${z}`)) continue;
+      bridges.set(`${x},${z}`, { x, y, z });
+    }
+  }
+}
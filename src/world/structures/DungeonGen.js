@@ -0,0 +1,196 @@
+// src/world/structures/DungeonGen.js
+/**
+ * 地牢生成模块
+ *
+ * 世界按 REGION_CHUNKS × REGION_CHUNKS 个区块划分为区域，每个区域至多一座地牢。
+ * 地牢由若干圆石 / 苔石房间和连接相邻房间的走廊组成，规划只由种子与区域坐标决定。
+ * 地层按段生成，每段只放置规划中落在本区块、本段内的部分，因此与玩家何时挖到这里无关
+ */
+import { createChunkRandom, getSeedInt, getGenerationKey, getWorldSettings, hash3i } from '../../utils/MathUtils.js';
+import { TERRAIN_CONFIG } from '../../constants/TerrainConfig.js';
+import { terrainGen } from '../TerrainGen.js';
+
+const CHUNK_SIZE = 16;
+
+/**
+ * 地牢参数
+ * 房间尺寸均为外尺寸（含墙壁、地板与天花板）
+ */
+export const DUNGEON_CONFIG = {
+  REGION_CHUNKS: 4,                          // 区域边长（区块）
+  CHANCE: 0.6,                               // 每个区域生成地牢的概率
+  ROOMS_MIN: 2,
+  ROOMS_MAX: 4,
+  ROOM_SIZE: [5, 9],                         // 房间水平外尺寸范围
+  ROOM_HEIGHT: 5,                            // 房间外高：地板 + 3 格空间 + 天花板
+  CORRIDOR_HEIGHT: 3,                        // 走廊净高，相邻格高差为 1 时仍可跳上台阶
+  ROOM_SPACING: [12, 18],                    // 相邻房间中心的水平距离范围
+  ROOM_ATTEMPTS: 8,                          // 每个房间寻找位置的尝试次数
+  MIN_Y: TERRAIN_CONFIG.BEDROCK_Y + 8,       // 房间地板的最低 Y（远离基岩起伏层）
+  MAX_Y: -20,                                // 房间地板的最高 Y
+  ROOF_DEPTH: 8,                             // 房间天花板距地表的最小深度
+  MAX_STEP_Y: 3,                             // 相邻房间的最大高差，不超过房间之间走廊的最短长度
+  MARGIN: 2,                                 // 房间距区域边缘的最小距离，保证整座地牢位于区域内
+  CHESTS_MIN: 1,
+  CHESTS_MAX: 2,
+  CHEST_LOOT: 'dungeon',                     // 宝箱战利品表（见 LootTables.js）
+  MOSS_CHANCE: 0.35                          // 墙壁为苔石的概率
+};
+
+/** 地牢规划使用的随机序列盐值（按区域坐标区分） */
+const DUNGEON_RANDOM_SALT = 0xd0e7;
+/** 墙壁苔石分布使用的逐方块哈希盐值 */
+const DUNGEON_MOSS_SALT = 0x3055;
+/** 地牢规划缓存上限（区域） */
+const DUNGEON_CACHE_LIMIT = 64;
+
+const dungeonCache = new Map();
+let dungeonCacheKey = null;
+
+/**
+ * 获取指定区块所属区域的地牢规划
+ * @param {number} cx - 区块X坐标
+ * @param {number} cz - 区块Z坐标
+ * @returns {Object|null} 地牢规划，区域内没有地牢时返回 null
+ */
+export function getDungeonForChunk(cx, cz) {
+  return getDungeon(Math.floor(cx / DUNGEON_CONFIG.REGION_CHUNKS), Math.floor(cz / DUNGEON_CONFIG.REGION_CHUNKS));
+}
+
+/**
+ * 获取指定区域的地牢规划（带缓存）
+ *
+ * rooms 中的坐标为外壳的包围盒（含墙），chests 位于房间内的地板之上；
+ * corridors 为走廊经过的格子，每格自 y 向上掏空 CORRIDOR_HEIGHT 层，并在 y - 1 铺设圆石地面
+ *
+ * @param {number} rx - 区域X坐标
+ * @param {number} rz - 区域Z坐标
+ * @returns {{rooms: Array<{minX: number, maxX: number, minY: number, maxY: number, minZ: number, maxZ: number, chests: Array<{x: number, y: number, z: number, loot: string}>}>, corridors: Array<{x: number, y: number, z: number}>}|null}
+ */
+export function getDungeon(rx, rz) {
+  const genKey = getGenerationKey();
+  if (dungeonCacheKey !== genKey || dungeonCache.size > DUNGEON_CACHE_LIMIT) {
+    dungeonCache.clear();
+    dungeonCacheKey = genKey;
+  }
+  const key = `${rx},${rz}`;
+  if (!dungeonCache.has(key)) dungeonCache.set(key, planDungeon(rx, rz));
+  return dungeonCache.get(key);
+}
+
+/**
+ * 获取地牢墙壁指定位置的方块：地板统一为圆石，其余按哈希混入苔石
+ * @param {number} x - X坐标（世界坐标）
+ * @param {number} y - Y坐标（世界坐标）
+ * @param {number} z - Z坐标（世界坐标）
+ * @param {boolean} isFloor - 是否为房间地板
+ * @returns {string} 'cobblestone' | 'mossy_stone'
+ */
+export function getDungeonWallBlock(x, y, z, isFloor) {
+  if (isFloor) return 'cobblestone';
+  const h = hash3i(x, y, z, getSeedInt() ^ DUNGEON_MOSS_SALT) / 4294967296;
+  return h < DUNGEON_CONFIG.MOSS_CHANCE ? 'mossy_stone' : 'cobblestone';
+}
+
+/**
+ * 规划一个区域内的地牢：房间沿随机方向依次排布，每个房间与前一个房间以走廊相连
+ * @private
+ */
+function planDungeon(rx, rz) {
+  const cfg = DUNGEON_CONFIG;
+  const rand = createChunkRandom(rx, rz, DUNGEON_RANDOM_SALT);
+  if (rand() >= cfg.CHANCE / getWorldSettings().structureRarity) return null;
+
+  const regionSize = cfg.REGION_CHUNKS * CHUNK_SIZE;
+  const regionX = rx * regionSize, regionZ = rz * regionSize;
+  const [minSize, maxSize] = cfg.ROOM_SIZE;
+  const randInt = (lo, hi) => lo + Math.floor(rand() * (hi - lo + 1));
+
+  // 在区域内放置一个以 (x, z) 为中心的房间，越界、重叠或距地表过近时返回 null
+  const makeRoom = (x, z, floorY, rooms) => {
+    const w = randInt(minSize, maxSize), d = randInt(minSize, maxSize);
+    const minX = x - (w >> 1), minZ = z - (d >> 1);
+    const room = { minX, maxX: minX + w - 1, minZ, maxZ: minZ + d - 1, x, z };
+    if (room.minX < regionX + cfg.MARGIN || room.maxX >= regionX + regionSize - cfg.MARGIN) return null;
+    if (room.minZ < regionZ + cfg.MARGIN || room.maxZ >= regionZ + regionSize - cfg.MARGIN) return null;
+    if (rooms.some(r => room.minX <= r.maxX + 1 && room.maxX >= r.minX - 1 && room.minZ <= r.maxZ + 1 && room.maxZ >= r.minZ - 1)) return null;
+
+    // 天花板必须位于房间覆盖范围内最低地表以下 ROOF_DEPTH 层
+    let surface = Infinity;
+    for (const [sx, sz] of [[room.minX, room.minZ], [room.maxX, room.minZ], [room.minX, room.maxZ], [room.maxX, room.maxZ], [x, z]]) {
+      surface = Math.min(surface, terrainGen.getColumn(sx, sz).height);
+    }
+    room.minY = Math.min(floorY, surface - cfg.ROOF_DEPTH - cfg.ROOM_HEIGHT + 1);
+    if (room.minY < cfg.MIN_Y) return null;
+    room.maxY = room.minY + cfg.ROOM_HEIGHT - 1;
+    return room;
+  };
+
+  const rooms = [];
+  const corridors = new Map(); // "x,z" -> {x, y, z}，走廊交叉处保留先开凿的高度
+  const roomCount = randInt(cfg.ROOMS_MIN, cfg.ROOMS_MAX);
+  const first = makeRoom(
+    regionX + randInt(maxSize, regionSize - maxSize),
+    regionZ + randInt(maxSize, regionSize - maxSize),
+    randInt(cfg.MIN_Y, cfg.MAX_Y),
+    rooms
+  );
+  if (!first) return null;
+  rooms.push(first);
+
+  for (let i = 1; i < roomCount; i++) {
+    const prev = rooms[rooms.length - 1];
+    for (let attempt = 0; attempt < cfg.ROOM_ATTEMPTS; attempt++) {
+      const angle = rand() * Math.PI * 2;
+      const dist = cfg.ROOM_SPACING[0] + rand() * (cfg.ROOM_SPACING[1] - cfg.ROOM_SPACING[0]);
+      const floorY = Math.max(cfg.MIN_Y, Math.min(cfg.MAX_Y, prev.minY + randInt(-cfg.MAX_STEP_Y, cfg.MAX_STEP_Y)));
+      const room = makeRoom(
+        Math.round(prev.x + Math.cos(angle) * dist),
+        Math.round(prev.z + Math.sin(angle) * dist),
+        floorY,
+        rooms
+      );
+      if (!room || Math.abs(room.minY - prev.minY) > cfg.MAX_STEP_Y) continue;
+      rooms.push(room);
+      addCorridor(prev, room, corridors);
+      break;
+    }
+  }
+
+  // 宝箱靠墙放在房间内部的角落，避开走廊经过的房间中线
+  for (const room of rooms) {
+    const corners = [
+      [room.minX + 1, room.minZ + 1], [room.maxX - 1, room.minZ + 1],
+      [room.minX + 1, room.maxZ - 1], [room.maxX - 1, room.maxZ - 1]
+    ];
+    const count = randInt(cfg.CHESTS_MIN, cfg.CHESTS_MAX);
+    room.chests = [];
+    for (let i = 0; i < count; i++) {
+      const [x, z] = corners.splice(Math.floor(rand() * corners.length), 1)[0];
+      room.chests.push({ x, y: room.minY + 1, z, loot: cfg.CHEST_LOOT });
+    }
+    delete room.x;
+    delete room.z;
+  }
+
+  return { rooms, corridors: [...corridors.values()] };
+}
+
+/**
+ * 在两个房间之间开凿 L 形走廊：先沿 X 再沿 Z，从起点房间的地面高度逐格升降到终点房间
+ * 离开起点房间后每前进一格最多升降一层，形成可以行走的台阶
+ * @private
+ */
+function addCorridor(from, to, corridors) {
+  let x = from.x, z = from.z, y = from.minY + 1;
+  const targetY = to.minY + 1;
+  const add = () => { if (!corridors.has(`${x},${z}`)) corridors.set(`${x},${z}`, { x, y, z }); };
+  add();
+  while (x !== to.x || z !== to.z) {
+    if (x !== to.x) x += Math.sign(to.x - x);
+    else z += Math.sign(to.z - z);
+    const inFrom = x >= from.minX && x <= from.maxX && z >= from.minZ && z <= from.maxZ;
+    if (y !== targetY && !inFrom) y += Math.sign(targetY - y);
+    add();
+  }
+}
@@ -0,0 +1,138 @@
+// src/world/structures/StructureRegistry.js
+/**
+ * 结构模板注册表
+ *
+ * 负责：
+ * 1. 注册并校验结构模板（格式见 StructureTemplates.js）
+ * 2. 按群系与放置位置查询生成规则
+ * 3. 按模板放置结构，支持 90° 旋转与镜像
+ */
+import { getBlockProperties } from '../../constants/BlockData.js';
+import { STRUCTURE_TEMPLATES } from './StructureTemplates.js';
+
+/** 模板网格中表示“保留原有方块”的字符 */
+const EMPTY_CELLS = ['.', ' '];
+
+export class StructureRegistry {
+  constructor() {
+    this.templates = new Map(); // name -> 模板
+  }
+
+  /**
+   * 注册结构模板，格式错误时抛出异常，便于在加载时发现问题
+   * @param {Object} template - 结构模板
+   */
+  register(template) {
+    const { name, origin, palette, layers } = template;
+    if (!name) throw new Error('Structure template requires a name');
+    if (this.templates.has(name)) throw new Error(`Duplicate structure template: ${name}`);
+    if (!Array.isArray(origin) || origin.length !== 3) throw new Error(`Structure ${name}: origin must be [x, y, z]`);
+    if (!Array.isArray(layers) || layers.length === 0) throw new Error(`Structure ${name}: layers must not be empty`);
+    for (const layer of layers) {
+      for (const row of layer) {
+        for (const ch of row) {
+          if (!EMPTY_CELLS.includes(ch) && !(ch in palette)) {
+            throw new Error(`Structure ${name}: '${ch}' is not defined in palette`);
+          }
+        }
+      }
+    }
+    this.templates.set(name, template);
+  }
+
+  /**
+   * @param {string} name - 模板名称
+   * @returns {Object|undefined} 结构模板
+   */
+  get(name) {
+    return this.templates.get(name);
+  }
+
+  /**
+   * 查询在指定群系、指定放置位置可以生成的规则
+   * @param {string} biome - 群系
+   * @param {string} placement - 'land' | 'underwater'
+   * @returns {Array<{template: Object, rule: Object}>} 按注册顺序排列
+   */
+  getSpawnRules(biome, placement) {
+    const result = [];
+    for (const template of this.templates.values()) {
+      for (const rule of template.spawn || []) {
+        if (rule.placement === placement && rule.biomes.includes(biome)) result.push({ template, rule });
+      }
+    }
+    return result;
+  }
+
+  /**
+   * 按模板放置结构
+   *
+   * chunk 需要提供 add(x, y, z, type, dObj, solid)；
+   * 可选提供 addLootChest(x, y, z, loot) 与 addEntity(kind, pos) 以接收宝箱和实体标记
+   *
+   * @param {string} name - 模板名称
+   * @param {number} x - 放置点世界坐标 X
+   * @param {number} y - 放置点世界坐标 Y（地表之上第一格）
+   * @param {number} z - 放置点世界坐标 Z
+   * @param {Object} chunk - 目标写入对象
+   * @param {Object} dObj - 数据对象
+   * @param {function(): number} rand - 结构自身的确定性随机数生成器
+   * @param {Object} [transform]
+   * @param {number} [transform.rotation=0] - 绕 Y 轴顺时针旋转 90° 的次数
+   * @param {boolean} [transform.mirror=false] - 是否沿 X 轴镜像（先镜像再旋转）
+   */
+  place(name, x, y, z, chunk, dObj, rand, { rotation = 0, mirror = false } = {}) {
+    const template = this.templates.get(name);
+    if (!template) return;
+    const [ox, oy, oz] = template.origin;
+
+    // 网格坐标 -> 世界坐标
+    const toWorld = (gx, gy, gz) => {
+      let dx = gx - ox, dz = gz - oz;
+      if (mirror) dx = -dx;
+      for (let r = 0; r < (rotation & 3); r++) [dx, dz] = [-dz, dx];
+      return [x + dx, y + gy - oy, z + dz];
+    };
+
+    // 调色板在每次放置时解析一次，同一结构内的随机方块保持统一
+    const blocks = {};
+    for (const ch in template.palette) {
+      let entry = template.palette[ch];
+      if (Array.isArray(entry)) entry = entry[Math.floor(rand() * entry.length)];
+      const type = typeof entry === 'string' ? entry : entry.type;
+      const solid = typeof entry === 'object' && entry.solid !== undefined ? entry.solid : getBlockProperties(type).isSolid;
+      blocks[ch] = { type, solid };
+    }
+
+    template.layers.forEach((layer, gy) => {
+      layer.forEach((row, gz) => {
+        for (let gx = 0; gx < row.length; gx++) {
+          const ch = row[gx];
+          if (EMPTY_CELLS.includes(ch)) continue;
+          const [wx, wy, wz] = toWorld(gx, gy, gz);
+          chunk.add(wx, wy, wz, blocks[ch].type, dObj, blocks[ch].solid);
+        }
+      });
+    });
+
+    for (const marker of template.markers || []) {
+      if (marker.chance !== undefined && rand() >= marker.chance) continue;
+      const [wx, wy, wz] = toWorld(...marker.pos);
+      if (marker.type === 'chest') {
+        chunk.add(wx, wy, wz, 'chest', dObj);
+        if (chunk.addLootChest) chunk.addLootChest(wx, wy, wz, marker.loot);
+      } else if (marker.type === 'block') {
+        const solid = marker.solid !== undefined ? marker.solid : getBlockProperties(marker.block).isSolid;
+        chunk.add(wx, wy, wz, marker.block, dObj, solid);
+      } else if (marker.type === 'entity') {
+        if (chunk.addEntity) chunk.addEntity(marker.entity, { x: wx, y: wy, z: wz });
+      }
+    }
+  }
+}
+
+/**
+ * 结构注册表单例，加载时注册所有内置模板
+ */
+export const structureRegistry = new StructureRegistry();
+STRUCTURE_TEMPLATES.forEach(template => structureRegistry.register(template));
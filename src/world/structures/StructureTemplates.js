@@ -0,0 +1,149 @@
+// src/world/structures/StructureTemplates.js
+/**
+ * 结构模板数据
+ *
+ * 每个模板都是纯 JSON 兼容的对象，新增结构只需在此追加模板，无需修改 WorldWorker：
+ * - name: 模板唯一名称
+ * - origin: 放置点在网格中的位置 [x, 层, z]，放置点为结构所在列地表之上的第一格
+ * - palette: 字符 -> 方块。值可以是：
+ *     'stone'                         固定方块
+ *     ['bricks', 'planks']            每次放置时随机选择一种（整座结构统一）
+ *     { type: 'bookbox', solid: false } 覆盖 BLOCK_DATA 中的实心属性
+ * - layers: 自下而上的层，每层为按 z 排列的字符串行，字符位置对应 x；'.' 表示保留原有方块
+ * - markers: 额外标记（坐标同为 [x, 层, z]）
+ *     { type: 'chest', pos, loot }                 宝箱及其战利品表（见 LootTables.js）
+ *     { type: 'block', pos, block, solid, chance } 按概率放置的装饰方块
+ *     { type: 'entity', pos, entity }              实体生成点，如 'modGunMan'、'rover'
+ * - spawn: 群系生成规则列表
+ *     { biomes, chance, placement: 'land' | 'underwater', maxY }
+ *     chance 为每列的生成概率，maxY（可选）为所在列地表高度的上限
+ * - rotatable: 是否允许随机旋转 / 镜像（默认允许）
+ */
+export const STRUCTURE_TEMPLATES = [
+  {
+    name: 'house',
+    origin: [2, 1, 2],
+    palette: {
+      '#': 'stone',
+      'W': ['bricks', 'planks', 'planks'],
+      'G': 'glass_block',
+      'R': ['dark_planks', 'oak_planks'],
+      'B': { type: 'bookbox', solid: false }
+    },
+    layers: [
+      ['#####', '#####', '#####', '#####', '#####'],
+      ['WWWWW', 'WB..W', 'W...W', 'W...W', 'WW.WW'],
+      ['WWWWW', 'W...W', 'G...G', 'W...W', 'WW.WW'],
+      ['WWWWW', 'W...W', 'W...W', 'W...W', 'WW.WW'],
+      ['RRRRR', 'RRRRR', 'RRRRR', 'RRRRR', 'RRRRR'],
+      ['.....', '.RRR.', '.RRR.', '.RRR.', '.....'],
+      ['.....', '..R..', '..R..', '..R..', '.....']
+    ],
+    markers: [
+      { type: 'chest', pos: [3, 1, 1], loot: 'house' },
+      { type: 'block', pos: [0, 5, 0], block: 'chimney', solid: false, chance: 0.33 },
+      { type: 'entity', pos: [2, 1, 2], entity: 'modGunMan', chance: 0.5 }
+    ],
+    // 房屋只作为村庄的一部分生成（见 VillageGen.js）
+    spawn: []
+  },
+  {
+    name: 'house_large',
+    origin: [3, 1, 2],
+    palette: {
+      '#': 'cobblestone',
+      'W': ['bricks', 'planks', 'white_planks'],
+      'G': 'glass_block',
+      'R': ['dark_planks', 'oak_planks'],
+      'B': { type: 'bookbox', solid: false }
+    },
+    layers: [
+      ['#######', '#######', '#######', '#######', '#######'],
+      ['WWWWWWW', 'WB....W', 'W.....W', 'W.....W', 'WWW.WWW'],
+      ['WWGWGWW', 'W.....W', 'G.....G', 'W.....W', 'WWW.WWW'],
+      ['WWWWWWW', 'W.....W', 'W.....W', 'W.....W', 'WWWWWWW'],
+      ['RRRRRRR', 'RRRRRRR', 'RRRRRRR', 'RRRRRRR', 'RRRRRRR'],
+      ['.......', '.RRRRR.', '.RRRRR.', '.RRRRR.', '.......'],
+      ['.......', '.......', '.RRRRR.', '.......', '.......']
+    ],
+    markers: [
+      { type: 'chest', pos: [5, 1, 1], loot: 'house' },
+      { type: 'entity', pos: [3, 1, 2], entity: 'modGunMan', chance: 0.7 }
+    ],
+    spawn: []
+  },
+  {
+    name: 'well',
+    origin: [2, 1, 2],
+    palette: {
+      '#': 'gravel',
+      'C': 'cobblestone',
+      'W': 'water',
+      'F': 'wood',
+      'P': 'planks'
+    },
+    layers: [
+      ['#####', '#CCC#', '#CWC#', '#CCC#', '#####'],
+      ['.....', '.CCC.', '.C.C.', '.CCC.', '.....'],
+      ['.....', '.F.F.', '.....', '.F.F.', '.....'],
+      ['.....', '.F.F.', '.....', '.F.F.', '.....'],
+      ['.....', '.PPP.', '.PPP.', '.PPP.', '.....']
+    ],
+    markers: [
+      { type: 'entity', pos: [0, 1, 2], entity: 'modGunMan', chance: 0.5 }
+    ],
+    spawn: []
+  },
+  {
+    name: 'farm',
+    origin: [3, 1, 2],
+    palette: {
+      'L': 'wood',
+      'D': 'dirt',
+      'W': 'water',
+      'C': 'wheat'
+    },
+    layers: [
+      ['LLLLLLL', 'LDDDDDL', 'LWWWWWL', 'LDDDDDL', 'LLLLLLL'],
+      ['.......', '.CCCCC.', '.......', '.CCCCC.', '.......']
+    ],
+    spawn: []
+  },
+  {
+    name: 'ship',
+    origin: [2, 0, 3],
+    palette: {
+      'P': 'planks',
+      'M': 'wood'
+    },
+    layers: [
+      ['.....', '.PPP.', '.PPP.', '.PMP.', '.PPP.', '.PPP.', '.....'],
+      ['MMMMM', 'M...M', 'M...M', 'M.M.M', 'M...M', 'M...M', 'MMMMM'],
+      ['PPPPP', 'P...P', 'P...P', 'P.M.P', 'P...P', 'P...P', 'PPPPP'],
+      ['.....', '.....', '.....', '..M..', '.....', '.....', '.....'],
+      ['.....', '.....', '.....', '..M..', '.....', '.....', '.....']
+    ],
+    markers: [
+      { type: 'chest', pos: [2, 1, 5], loot: 'shipwreck' }
+    ],
+    spawn: [
+      // 沉船：深海中更常见，浅海只出现在较深的水域
+      { biomes: ['DEEP_OCEAN'], chance: 0.003, placement: 'underwater' },
+      { biomes: ['OCEAN'], chance: 0.001, placement: 'underwater', maxY: -7 }
+    ]
+  },
+  {
+    // 火星车：只有实体标记，没有方块
+    name: 'rover',
+    origin: [0, 0, 0],
+    palette: {},
+    layers: [['.']],
+    markers: [
+      { type: 'entity', pos: [0, 0, 0], entity: 'rover' }
+    ],
+    spawn: [
+      { biomes: ['DESERT'], chance: 0.0005, placement: 'land' }
+    ],
+    rotatable: false
+  }
+];
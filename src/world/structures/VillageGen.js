@@ -0,0 +1,159 @@
+// src/world/structures/VillageGen.js
+/**
+ * 村庄生成模块
+ *
+ * 世界按 REGION_CHUNKS × REGION_CHUNKS 个区块划分为区域，每个区域至多一个村庄。
+ * 村庄规划只由种子与区域坐标决定：中心的水井、环绕的房屋、外围的农田，以及从各建筑通往水井的道路。
+ * 规划中的每个组件都不超过一个区块大小，由其锚点所在的区块放置，越界部分由相邻区块重放
+ */
+import { createChunkRandom, getGenerationKey, getWorldSettings } from '../../utils/MathUtils.js';
+import { terrainGen } from '../TerrainGen.js';
+
+const CHUNK_SIZE = 16;
+
+/**
+ * 村庄参数
+ * MARGIN 不小于 RADIUS，保证整个村庄位于所属区域内，区块只需查询自身区域的村庄
+ */
+export const VILLAGE_CONFIG = {
+  REGION_CHUNKS: 8,          // 区域边长（区块）
+  CHANCE: 0.5,               // 每个区域生成村庄的概率
+  BIOMES: ['PLAINS'],        // 村庄中心允许的群系
+  RADIUS: 28,                // 村庄范围（方块），范围内不生成树木与零散结构
+  MARGIN: 32,                // 村庄中心距区域边缘的最小距离
+  HOUSES_MIN: 4,
+  HOUSES_MAX: 7,
+  HOUSE_RING: [9, 18],       // 房屋到水井的距离范围
+  FARMS_MIN: 1,
+  FARMS_MAX: 3,
+  FARM_RING: [19, 24],       // 农田到水井的距离范围
+  PLACE_ATTEMPTS: 6,         // 每个组件寻找空地的尝试次数
+  MIN_HEIGHT: 2,             // 建筑所在列的地表至少高出海平面的格数（避开水面与沙滩）
+  MAX_HEIGHT_DIFF: 5,        // 建筑与水井的最大高差
+  PLAZA_RADIUS: 2            // 水井周围的广场半径，道路在此处终止
+};
+
+/** 村庄规划使用的随机序列盐值（按区域坐标区分） */
+const VILLAGE_RANDOM_SALT = 0x7111a;
+/** 村庄规划缓存上限（区域） */
+const VILLAGE_CACHE_LIMIT = 64;
+
+/** 各旋转角度下结构正面（门）的朝向，与 StructureRegistry.place 的旋转方向一致 */
+const FACING = [[0, 1], [-1, 0], [0, -1], [1, 0]];
+/** 结构占地半径（方块），用于避免组件相互重叠 */
+const FOOTPRINT = { well: 3, house: 3, house_large: 4, farm: 4 };
+
+const villageCache = new Map();
+let villageCacheKey = null;
+
+/**
+ * 获取指定区块所属区域的村庄规划
+ * @param {number} cx - 区块X坐标
+ * @param {number} cz - 区块Z坐标
+ * @returns {Object|null} 村庄规划，区域内没有村庄时返回 null
+ */
+export function getVillageForChunk(cx, cz) {
+  return getVillage(Math.floor(cx / VILLAGE_CONFIG.REGION_CHUNKS), Math.floor(cz / VILLAGE_CONFIG.REGION_CHUNKS));
+}
+
+/**
+ * 获取指定区域的村庄规划（带缓存）
+ * @param {number} rx - 区域X坐标
+ * @param {number} rz - 区域Z坐标
+ * @returns {{x: number, z: number, radius: number, structures: Array<Object>, paths: Array<{x: number, z: number}>}|null}
+ */
+export function getVillage(rx, rz) {
+  const genKey = getGenerationKey();
+  if (villageCacheKey !== genKey || villageCache.size > VILLAGE_CACHE_LIMIT) {
+    villageCache.clear();
+    villageCacheKey = genKey;
+  }
+  const key = `${rx},${rz}`;
+  if (!villageCache.has(key)) villageCache.set(key, planVillage(rx, rz));
+  return villageCache.get(key);
+}
+
+/**
+ * 规划一个区域内的村庄
+ * @private
+ */
+function planVillage(rx, rz) {
+  const cfg = VILLAGE_CONFIG;
+  const rand = createChunkRandom(rx, rz, VILLAGE_RANDOM_SALT);
+  if (rand() >= cfg.CHANCE / getWorldSettings().structureRarity) return null;
+
+  const regionSize = cfg.REGION_CHUNKS * CHUNK_SIZE;
+  const x = rx * regionSize + cfg.MARGIN + Math.floor(rand() * (regionSize - cfg.MARGIN * 2));
+  const z = rz * regionSize + cfg.MARGIN + Math.floor(rand() * (regionSize - cfg.MARGIN * 2));
+  const center = terrainGen.getColumn(x, z);
+  if (!cfg.BIOMES.includes(center.biome) || !isBuildable(center, center.height)) return null;
+
+  const nextSeed = () => Math.floor(rand() * 4294967296) | 0;
+  const structures = [{ name: 'well', x, y: center.height + 1, z, rotation: 0, mirror: false, seed: nextSeed() }];
+  const occupied = [{ x, z, r: FOOTPRINT.well }];
+  const paths = new Map(); // "x,z" -> {x, z}
+
+  // 在距水井 [minDist, maxDist] 的环上为组件寻找不重叠的平地，返回放置结果或 null
+  const placeOnRing = (name, [minDist, maxDist]) => {
+    for (let attempt = 0; attempt < cfg.PLACE_ATTEMPTS; attempt++) {
+      const angle = rand() * Math.PI * 2;
+      const dist = minDist + rand() * (maxDist - minDist);
+      const sx = Math.round(x + Math.cos(angle) * dist);
+      const sz = Math.round(z + Math.sin(angle) * dist);
+      const r = FOOTPRINT[name];
+      if (occupied.some(o => Math.hypot(o.x - sx, o.z - sz) < o.r + r + 1)) continue;
+      const col = terrainGen.getColumn(sx, sz);
+      if (!isBuildable(col, center.height)) continue;
+      occupied.push({ x: sx, z: sz, r });
+      return { x: sx, y: col.height + 1, z: sz };
+    }
+    return null;
+  };
+
+  // 从 (sx, sz) 沿先 X 后 Z 的折线铺路到水井广场
+  const addPath = (sx, sz) => {
+    let px = sx, pz = sz;
+    while (Math.abs(px - x) > cfg.PLAZA_RADIUS || Math.abs(pz - z) > cfg.PLAZA_RADIUS) {
+      paths.set(`${px},${pz}`, { x: px, z: pz });
+      if (Math.abs(px - x) > cfg.PLAZA_RADIUS) px += Math.sign(x - px);
+      else pz += Math.sign(z - pz);
+    }
+  };
+
+  const houseCount = cfg.HOUSES_MIN + Math.floor(rand() * (cfg.HOUSES_MAX - cfg.HOUSES_MIN + 1));
+  for (let i = 0; i < houseCount; i++) {
+    const name = rand() < 0.35 ? 'house_large' : 'house';
+    const spot = placeOnRing(name, cfg.HOUSE_RING);
+    if (!spot) continue;
+    // 门朝向水井，道路从门外一格开始
+    const rotation = faceToward(spot.x, spot.z, x, z);
+    const [fx, fz] = FACING[rotation];
+    structures.push({ name, ...spot, rotation, mirror: rand() < 0.5, seed: nextSeed() });
+    addPath(spot.x + fx * 3, spot.z + fz * 3);
+  }
+
+  const farmCount = cfg.FARMS_MIN + Math.floor(rand() * (cfg.FARMS_MAX - cfg.FARMS_MIN + 1));
+  for (let i = 0; i < farmCount; i++) {
+    const spot = placeOnRing('farm', cfg.FARM_RING);
+    if (!spot) continue;
+    const rotation = faceToward(spot.x, spot.z, x, z);
+    const [fx, fz] = FACING[rotation];
+    structures.push({ name: 'farm', ...spot, rotation, mirror: false, seed: nextSeed() });
+    addPath(spot.x + fx * 3, spot.z + fz * 3);
+  }
+
+  return { x, z, radius: cfg.RADIUS, structures, paths: [...paths.values()] };
+}
+
+/** 判断列是否适合建造：陆地、非河流，且与水井高差不大 */
+function isBuildable(col, centerHeight) {
+  return col.height >= getWorldSettings().seaLevel + VILLAGE_CONFIG.MIN_HEIGHT && col.river === 0 &&
+    Math.abs(col.height - centerHeight) <= VILLAGE_CONFIG.MAX_HEIGHT_DIFF;
+}
+
+/** 选择使结构正面朝向目标点的旋转次数 */
+function faceToward(sx, sz, tx, tz) {
+  const dx = tx - sx, dz = tz - sz;
+  if (Math.abs(dx) > Math.abs(dz)) return dx > 0 ? 3 : 1;
+  return dz > 0 ? 0 : 2;
+}